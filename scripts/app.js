@@ -3,14 +3,69 @@
  * Orchestrates all components and manages application state
  */
 
-class WhisperFlowApp {
+import { Emitter } from './emitter.js';
+import { WhisperFlowConfig } from './config.js';
+import { AudioProcessor, FileAudioProcessor } from './audio.js';
+import { AudioRecorder } from './recorder.js';
+import { FileStreamer } from './file-streamer.js';
+import { WhisperWebSocket, AuthenticationError } from './websocket.js';
+import { HealthMonitor } from './health.js';
+import { StreamMetrics } from './metrics.js';
+import { SegmentedTranscriber } from './upload.js';
+import { TranscriptionQueue } from './queue.js';
+import { TranscriptHistory } from './history.js';
+import { SubtitleExporter } from './subtitles.js';
+import { TranscriptModel } from './transcript.js';
+import { KeyboardShortcuts } from './shortcuts.js';
+import { I18n } from './i18n.js';
+import { UI } from './ui.js';
+
+/**
+ * Events (CustomEvent, payload in event.detail):
+ *   partial        - { text, message }, latest partial result for the current utterance
+ *   final          - { text, start, end, message }, finalized line with its recording times;
+ *                    message is null when push-to-talk finalized the partial locally
+ *   recordingstart - { session, source }, the history session the recording is saved to and
+ *                    its audio source, 'microphone' or 'file'
+ *   recordingstop  - { session, source, duration }, with the captured duration in seconds
+ *   uploadresult   - { status: 'done' or 'failed', name, file, result, error }, per queued file
+ * Connection, audio and health events come from the websocket, audioProcessor and
+ * healthMonitor properties.
+ */
+class WhisperFlowApp extends Emitter {
     constructor() {
+        super();
+        this.config = new WhisperFlowConfig(); // Saved profiles, overridden by URL parameters
+        this.i18n = new I18n(); // Interface language from ?lang= or the browser
         this.ui = null;
         this.audioProcessor = null;
+        this.recorder = null; // Local copy of the recording, when enabled
+        this.fileStreamer = null; // Replays files through the live stream
+        this.audioSource = 'microphone'; // Where the current transcript's audio comes from: 'microphone' or 'file'
         this.websocket = null;
+        this.healthMonitor = null;
+        this.metrics = new StreamMetrics();
+        this.metricsTimer = null; // Refreshes the metrics panel while it is shown
+        this.connectionState = null; // Last WebSocket state, for counting reconnects
+        this.history = null;
+        this.currentSession = null; // Session record for the active recording
         this.isRecording = false;
-        this.selectedFile = null;
+        this.recordingPaused = false; // Between push-to-talk presses, with the session still open
+        this.bufferOverflowWarned = false;
+        this.disconnectNotice = null; // Warning shown while the connection is down, hidden on reconnect
+        this.initialConnectionPending = true;
+        this.reportedProtocolIssues = new Set(); // Protocol problems already shown for this connection
+        this.queue = null;
+        this.queueWasRunning = false;
         this.chunkCount = 0; // For debugging
+        this.utteranceStart = 0; // Recording position (seconds) where the current utterance began
+        this.transcript = null; // TranscriptModel with the final lines currently shown
+        this.transcriptSession = null; // Saved session the shown transcript belongs to, if any
+        this.transcriptTitle = null;
+        this.partialText = null; // Latest partial result not yet finalized
+        this.shortcuts = null;
+        this.pushToTalkTimer = null; // Finalizes the last utterance after a push-to-talk release
+        this.discardLateResults = false; // Set once a push-to-talk utterance has been finalized locally
         
         this.init();
     }
@@ -23,25 +78,54 @@ class WhisperFlowApp {
             console.log('Initializing Whisper Flow frontend...');
             
             // Initialize UI
-            this.ui = new UI();
+            this.ui = new UI(this.config, this.i18n);
             
             // Update configuration display
             this.ui.updateConfigDisplay();
             
             // Initialize WebSocket connection
-            this.websocket = new WhisperWebSocket();
+            this.websocket = new WhisperWebSocket(this.config);
+            
+            // Listen for WebSocket events
+            this.websocket.addEventListener('message', event => this.handleServerMessage(event.detail));
+            this.websocket.addEventListener('connectionchange', event =>
+                this.handleConnectionChange(event.detail.isConnected, event.detail.state));
+            this.websocket.addEventListener('statechange', event => this.handleConnectionStateChange(event.detail));
+            this.websocket.addEventListener('error', event => this.handleWebSocketError(event.detail.error));
+            this.websocket.addEventListener('bufferchange', event => this.handleBufferChange(event.detail));
+            this.websocket.addEventListener('audiosent', event => this.metrics.recordAudioSent(event.detail.bytes));
             
-            // Set up WebSocket callbacks
-            this.websocket.setMessageCallback(this.handleTranscriptionMessage.bind(this));
-            this.websocket.setConnectionChangeCallback(this.handleConnectionChange.bind(this));
-            this.websocket.setErrorCallback(this.handleWebSocketError.bind(this));
+            // Poll server health in the background
+            this.healthMonitor = new HealthMonitor(this.websocket);
+            this.healthMonitor.addEventListener('result', event => this.handleHealthResult(event.detail));
             
             // Initialize audio processor
             this.audioProcessor = new AudioProcessor();
             
-            // Set up audio callbacks
-            this.audioProcessor.setAudioChunkCallback(this.handleAudioChunk.bind(this));
-            this.audioProcessor.setAudioLevelCallback(this.handleAudioLevel.bind(this));
+            // Listen for audio events
+            this.audioProcessor.addEventListener('audiochunk', event => this.handleAudioChunk(event.detail.data, event.detail.isSpeech));
+            this.audioProcessor.addEventListener('capturedaudio', event => this.handleCapturedAudio(event.detail.data));
+            this.audioProcessor.addEventListener('audiolevel', event => this.handleAudioLevel(event.detail.level));
+            this.audioProcessor.addEventListener('silencetimeout', () => this.handleSilenceTimeout());
+            this.audioProcessor.addEventListener('devicechange', event => this.handleAudioDeviceChange(event.detail));
+            this.applyAudioSettings();
+            this.applyBufferSettings();
+            this.recorder = new AudioRecorder(this.audioProcessor.sampleRate);
+            this.fileStreamer = new FileStreamer(this.websocket, {
+                sampleRate: this.audioProcessor.sampleRate,
+                chunkSize: this.audioProcessor.chunkSize
+            });
+            this.fileStreamer.addEventListener('progress', event =>
+                this.ui.updateStreamProgress(event.detail.position, event.detail.duration));
+            
+            // Editable transcript
+            this.transcript = new TranscriptModel();
+            this.transcript.setChangeCallback(this.handleTranscriptChange.bind(this));
+            
+            // Transcription queue for uploaded files
+            this.queue = new TranscriptionQueue(this.processQueueItem.bind(this));
+            this.queue.setChangeCallback(this.handleQueueChange.bind(this));
+            this.applyQueueSettings();
             
             // Set up UI event handlers
             this.ui.setEventHandlers({
@@ -51,9 +135,45 @@ class WhisperFlowApp {
                 onStopButtonClick: this.handleStopButtonClick.bind(this),
                 onFileSelected: this.handleFileSelected.bind(this),
                 onUploadButtonClick: this.handleUploadButtonClick.bind(this),
-                onFileDropped: this.handleFileDropped.bind(this)
+                onFileDropped: this.handleFileDropped.bind(this),
+                onHistorySessionOpen: this.handleHistorySessionOpen.bind(this),
+                onHistorySessionRename: this.handleHistorySessionRename.bind(this),
+                onHistorySessionDelete: this.handleHistorySessionDelete.bind(this),
+                onExportSubtitlesClick: this.handleExportSubtitlesClick.bind(this),
+                onInputDeviceChange: this.handleInputDeviceChange.bind(this),
+                onProfileSwitch: this.handleProfileSwitch.bind(this),
+                onProfileCreate: this.handleProfileCreate.bind(this),
+                onProfileRename: this.handleProfileRename.bind(this),
+                onProfileDelete: this.handleProfileDelete.bind(this),
+                onProfilesExport: this.handleProfilesExport.bind(this),
+                onProfilesImport: this.handleProfilesImport.bind(this),
+                onHealthCheckClick: this.handleHealthCheckClick.bind(this),
+                onReconnectClick: this.handleReconnectClick.bind(this),
+                onQueueItemAction: this.handleQueueItemAction.bind(this),
+                onQueueRetryFailed: this.handleQueueRetryFailed.bind(this),
+                onQueueClearFinished: this.handleQueueClearFinished.bind(this),
+                onTranscriptEdit: this.handleTranscriptEdit.bind(this),
+                onTranscriptUndo: this.handleTranscriptUndo.bind(this),
+                onTranscriptRedo: this.handleTranscriptRedo.bind(this),
+                onCopyTranscriptClick: this.handleCopyTranscriptClick.bind(this),
+                onShortcutHelpClick: this.showShortcutHelp.bind(this),
+                onMetricsToggle: this.handleMetricsToggle.bind(this),
+                onResetMetricsClick: this.handleResetMetricsClick.bind(this),
+                onShortcutHelpClosed: this.handleShortcutHelpClosed.bind(this),
+                onShortcutChange: this.handleShortcutChange.bind(this),
+                onShortcutsReset: this.handleShortcutsReset.bind(this)
             });
             
+            // Keyboard shortcuts and push-to-talk
+            this.shortcuts = new KeyboardShortcuts();
+            this.shortcuts.setActionCallback(this.handleShortcut.bind(this));
+            this.shortcuts.setPushToTalkCallback(this.handlePushToTalk.bind(this));
+            this.shortcuts.attach();
+            this.applyShortcutSettings();
+            
+            // Open session history storage
+            await this.initializeHistory();
+            
             // Connect to WebSocket
             try {
                 await this.websocket.connect();
@@ -61,6 +181,7 @@ class WhisperFlowApp {
                 console.error('Initial connection failed:', error);
                 // Don't throw here, let the error handlers deal with it
             }
+            this.applyHealthSettings();
             
             // Initialize audio (request microphone permission)
             await this.initializeAudio();
@@ -69,7 +190,7 @@ class WhisperFlowApp {
             
         } catch (error) {
             console.error('Failed to initialize application:', error);
-            this.ui.showError('Failed to initialize application: ' + error.message);
+            this.ui.showError(this.i18n.t('Failed to initialize application: {error}', { error: error.message }));
         }
     }
 
@@ -78,63 +199,451 @@ class WhisperFlowApp {
      */
     async initializeAudio() {
         try {
-            await this.audioProcessor.initialize();
+            await this.audioProcessor.initialize(this.config.getCurrentConfig().inputDeviceId);
+            await this.refreshInputDevices();
             console.log('Audio system initialized');
         } catch (error) {
             console.error('Failed to initialize audio:', error);
-            this.ui.showError('Microphone access denied. Please allow microphone access and refresh the page.');
+            this.ui.showError(this.i18n.t('Microphone access denied. Please allow microphone access and refresh the page.'));
         }
     }
 
     /**
-     * Handle WebSocket transcription messages
+     * Initialize session history storage
+     */
+    async initializeHistory() {
+        try {
+            this.history = new TranscriptHistory();
+            await this.history.open();
+            await this.refreshHistory();
+        } catch (error) {
+            console.error('Failed to open session history:', error);
+            this.history = null;
+            this.ui.showError(this.i18n.t('Session history is unavailable: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Reload the history panel from storage
+     */
+    async refreshHistory() {
+        if (!this.history) return;
+        
+        const sessions = await this.history.listSessions();
+        this.ui.renderHistory(sessions);
+    }
+
+    /**
+     * Persist a session record and refresh the history panel
+     */
+    async saveSession(session) {
+        if (!this.history) return;
+        
+        try {
+            await this.history.saveSession(session);
+            await this.refreshHistory();
+        } catch (error) {
+            console.error('Failed to save session:', error);
+            this.ui.showError(this.i18n.t('Failed to save session: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Redraw the transcript and save changes to the session it belongs to
+     */
+    handleTranscriptChange(reason) {
+        this.ui.renderTranscript(this.transcript.lines);
+        this.ui.updateUndoState(this.transcript.canUndo(), this.transcript.canRedo());
+        
+        if (reason === 'set' || !this.transcriptSession) return;
+        
+        this.transcriptSession.lines = this.transcript.getLines();
+        this.saveSession(this.transcriptSession);
+    }
+
+    /**
+     * Apply an edit to a transcript line
+     */
+    handleTranscriptEdit(action, lineId, options) {
+        switch (action) {
+            case 'update':
+                this.transcript.updateText(lineId, options.text);
+                break;
+            case 'merge':
+                if (!this.transcript.merge(lineId)) {
+                    this.ui.showInfo(this.i18n.t('There is no next line to merge with'));
+                }
+                break;
+            case 'split':
+                if (!this.transcript.split(lineId, options.offset)) {
+                    this.ui.showInfo(this.i18n.t('Place the cursor inside the text to split the line'));
+                }
+                break;
+            case 'delete':
+                this.transcript.remove(lineId);
+                break;
+        }
+    }
+
+    /**
+     * Undo the last transcript edit
+     */
+    handleTranscriptUndo() {
+        this.transcript.undo();
+    }
+
+    /**
+     * Redo the last undone transcript edit
+     */
+    handleTranscriptRedo() {
+        this.transcript.redo();
+    }
+
+    /**
+     * Copy the transcript to the clipboard as plain text
+     */
+    async handleCopyTranscriptClick() {
+        if (this.transcript.lines.length === 0) {
+            this.ui.showError(this.i18n.t('No finalized transcription to copy'));
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(this.transcript.getText());
+            this.ui.showSuccess(this.i18n.t('Transcript copied'));
+        } catch (error) {
+            console.error('Failed to copy transcript:', error);
+            this.ui.showError(this.i18n.t('Failed to copy transcript: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Get the position in the current recording, in seconds of captured audio
+     */
+    getRecordingPosition() {
+        if (this.audioSource === 'file') {
+            return this.fileStreamer.getPosition();
+        }
+        return this.audioProcessor.getCapturedDuration();
+    }
+
+    /**
+     * Work out start and end times for a finalized utterance
+     * Server segment times are relative to the start of the utterance's audio;
+     * without them the utterance spans the audio captured since the previous final
+     */
+    getUtteranceTiming(result) {
+        const position = this.getRecordingPosition();
+        let start = this.utteranceStart;
+        let end = position;
+        
+        const segments = Array.isArray(result.segments) ? result.segments : [];
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        if (first && last && typeof first.start === 'number' && typeof last.end === 'number') {
+            start = this.utteranceStart + first.start;
+            end = Math.min(this.utteranceStart + last.end, position);
+        }
+        
+        // The server starts a fresh window after each final
+        this.utteranceStart = position;
+        
+        return { start: start, end: Math.max(start, end) };
+    }
+
+    /**
+     * Reload the microphone picker
+     */
+    async refreshInputDevices(devices = null) {
+        try {
+            const inputDevices = devices || await this.audioProcessor.listInputDevices();
+            this.ui.renderInputDevices(inputDevices, this.config.getCurrentConfig().inputDeviceId);
+        } catch (error) {
+            console.error('Failed to list input devices:', error);
+        }
+    }
+
+    /**
+     * Switch microphones from the picker, remembering the choice
      */
-    handleTranscriptionMessage(data) {
+    async handleInputDeviceChange(deviceId) {
         try {
-            console.log('Received transcription:', data);
+            const device = await this.audioProcessor.switchInputDevice(deviceId);
+            
+            const config = this.config.getCurrentConfig();
+            this.config.updateConfig({ ...config, inputDeviceId: deviceId }, 'user');
+            this.ui.updateConfigDisplay();
             
-            if (data.data && data.data.text) {
-                const text = data.data.text.trim();
-                if (text) {
-                    if (data.is_partial) {
-                        this.ui.showPartialTranscription(text);
+            this.ui.showSuccess(this.i18n.t('Microphone: {name}', { name: device.label }));
+        } catch (error) {
+            console.error('Failed to switch microphone:', error);
+            this.ui.showError(this.i18n.t('Failed to switch microphone: {error}', { error: error.message }));
+            await this.refreshInputDevices();
+        }
+    }
+
+    /**
+     * Handle microphones being plugged in, unplugged or replaced
+     */
+    async handleAudioDeviceChange(change) {
+        await this.refreshInputDevices(change.devices.length > 0 ? change.devices : null);
+        
+        if (change.type === 'fallback') {
+            this.ui.showWarning(this.i18n.t('Microphone "{lost}" disconnected. Switched to {name}', {
+                lost: change.lostDevice.label,
+                name: change.device.label
+            }));
+        } else if (change.type === 'lost') {
+            this.ui.showError(this.i18n.t('Microphone "{lost}" disconnected and no other microphone is available', {
+                lost: change.lostDevice.label
+            }));
+            if (this.isRecording) {
+                this.stopRecording();
+            }
+        }
+    }
+
+    /**
+     * Handle WebSocket transcription messages
+     */
+    handleServerMessage(message) {
+        try {
+            switch (message.type) {
+                case 'partial':
+                    if (this.discardLateResults) break;
+                    if (message.text) {
+                        this.partialText = message.text;
+                        this.metrics.recordPartial();
+                        this.ui.showPartialTranscription(message.text);
+                        this.emit('partial', { text: message.text, message: message });
+                    }
+                    break;
+                case 'final':
+                    if (this.discardLateResults) break;
+                    if (message.text) {
+                        this.partialText = null;
+                        this.metrics.recordFinal();
+                        const timing = this.getUtteranceTiming(message);
+                        this.ui.clearPartialTranscription();
+                        this.transcript.append({ text: message.text, start: timing.start, end: timing.end });
+                        this.emit('final', { text: message.text, start: timing.start, end: timing.end, message: message });
+                    }
+                    break;
+                case 'error':
+                    console.error('Server error:', message.raw);
+                    this.ui.showError(message.code !== null ?
+                        this.i18n.t('Server error ({code}): {message}', { code: message.code, message: message.message }) :
+                        this.i18n.t('Server error: {message}', { message: message.message }));
+                    break;
+                case 'info':
+                    console.log('Server info:', message.raw);
+                    if (message.message) {
+                        this.ui.showInfo(message.message);
+                    }
+                    break;
+                case 'unknown':
+                    console.warn('Unrecognised server message:', message.raw);
+                    this.reportProtocolIssue(`unknown:${message.messageType}`, message.messageType ?
+                        this.i18n.t('Server sent an unrecognised "{type}" message. The server may be newer than this frontend',
+                            { type: message.messageType }) :
+                        this.i18n.t('Server sent an unrecognised message. The server may be newer than this frontend'));
+                    break;
+                case 'invalid':
+                    console.warn('Invalid server message:', message.problem, message.raw);
+                    if (message.versionMismatch) {
+                        this.reportProtocolIssue('version', message.problem);
                     } else {
-                        this.ui.showPartialTranscription(text); // Show the last text as partial before finalizing
-                        this.ui.finalizePartialTranscription();
+                        this.reportProtocolIssue(`invalid:${message.problem}`, this.i18n.t('Protocol error: {problem}', { problem: message.problem }));
                     }
-                }
+                    break;
             }
         } catch (error) {
-            console.error('Error handling transcription message:', error);
+            console.error('Error handling server message:', error);
         }
     }
 
     /**
-     * Handle WebSocket connection changes
+     * Show a protocol problem once per connection rather than for every frame
      */
-    handleConnectionChange(isConnected) {
+    reportProtocolIssue(key, text) {
+        if (this.reportedProtocolIssues.has(key)) return;
+        
+        this.reportedProtocolIssues.add(key);
+        this.ui.showError(text);
+    }
+
+    /**
+     * Handle the socket opening or leaving the open state
+     * Only unexpected drops are announced; retries show in the status bar
+     */
+    handleConnectionChange(isConnected, state) {
         if (isConnected) {
-            this.ui.updateConnectionStatus(true, 'Connected to Whisper Flow');
-            this.ui.showSuccess('Connected to Whisper Flow server');
+            this.reportedProtocolIssues.clear();
+            this.ui.dismissNotification(this.disconnectNotice);
+            this.disconnectNotice = null;
+            this.ui.showSuccess(this.i18n.t('Connected to Whisper Flow server'));
             // Hide config section when successfully connected
             this.ui.hideConfigSection();
-        } else {
-            this.ui.updateConnectionStatus(false, 'Disconnected from Whisper Flow');
-            this.ui.showError('Disconnected from Whisper Flow server');
-            
-            // Stop recording if connection is lost
+        } else if (state !== 'idle' && !this.websocket.authFailed) {
+            // Deliberate disconnects stay quiet and the error handler reports rejected credentials
+            // Keep recording through outages; audio is buffered until the socket reconnects
             if (this.isRecording) {
-                this.stopRecording();
+                this.disconnectNotice = this.ui.showWarning(
+                    this.i18n.t('Disconnected from Whisper Flow server. Recording continues and audio will be sent on reconnect'));
+            } else {
+                this.disconnectNotice = this.ui.showWarning(this.i18n.t('Disconnected from Whisper Flow server'));
+            }
+        }
+    }
+
+    /**
+     * Show every connection state change in the status bar
+     */
+    handleConnectionStateChange(status) {
+        this.ui.updateConnectionState(status);
+        
+        if (status.state === 'reconnecting' && this.connectionState === 'open') {
+            this.metrics.recordReconnect();
+        }
+        this.connectionState = status.state;
+        
+        // Offer the settings once if the very first connection attempt fails
+        if (this.initialConnectionPending && ['open', 'reconnecting', 'failed'].includes(status.state)) {
+            this.initialConnectionPending = false;
+            if (status.state !== 'open') {
+                this.ui.showConfigSection();
             }
         }
     }
 
+    /**
+     * Refresh the metrics panel every second while it is shown
+     */
+    handleMetricsToggle(visible) {
+        clearInterval(this.metricsTimer);
+        this.metricsTimer = null;
+        
+        if (visible) {
+            this.updateMetricsDisplay();
+            this.metricsTimer = setInterval(() => this.updateMetricsDisplay(), 1000);
+        }
+    }
+
+    /**
+     * Start measuring from scratch
+     */
+    handleResetMetricsClick() {
+        this.metrics.reset();
+        this.updateMetricsDisplay();
+    }
+
+    /**
+     * Show the current streaming metrics
+     */
+    updateMetricsDisplay() {
+        this.ui.updateMetrics(
+            this.metrics.getSnapshot(),
+            this.websocket.getBufferedAmount(),
+            this.audioProcessor.skippedChunks
+        );
+    }
+
+    /**
+     * Reconnect immediately instead of waiting for the next attempt
+     */
+    async handleReconnectClick() {
+        try {
+            await this.websocket.reconnect();
+        } catch (error) {
+            this.ui.showError(this.i18n.t('Failed to reconnect: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Handle changes to audio buffered during an outage
+     */
+    handleBufferChange(status) {
+        const bytesPerSecond = this.audioProcessor.sampleRate * 2; // 16-bit samples
+        const pendingSeconds = status.pendingBytes / bytesPerSecond;
+        const droppedSeconds = status.droppedBytes / bytesPerSecond;
+        
+        this.ui.updatePendingAudio(pendingSeconds, droppedSeconds);
+        
+        // Warn once per outage when the buffer starts discarding audio
+        if (status.droppedChunks > 0 && !this.bufferOverflowWarned) {
+            this.bufferOverflowWarned = true;
+            this.ui.showWarning(this.i18n.t('Audio buffer is full. The oldest unsent audio is being discarded'));
+        } else if (status.pendingChunks === 0) {
+            this.bufferOverflowWarned = false;
+        }
+    }
+
+    /**
+     * Size the outage buffer from the current configuration
+     */
+    applyBufferSettings() {
+        const seconds = this.config.getCurrentConfig().outageBufferSeconds;
+        const chunks = Math.ceil(seconds * this.audioProcessor.sampleRate / this.audioProcessor.chunkSize);
+        this.websocket.setAudioBufferCapacity(chunks);
+    }
+
+    /**
+     * Start health polling with the configured interval, forgetting the previous server's results
+     */
+    applyHealthSettings() {
+        const seconds = this.config.getCurrentConfig().healthCheckSeconds;
+        this.healthMonitor.reset();
+        this.healthMonitor.setInterval(seconds * 1000);
+        
+        // Without health checks, fall back to plain reconnect attempts
+        if (seconds === 0) {
+            this.websocket.setServerReachable(true);
+        }
+        this.updateHealthDisplay();
+    }
+
+    /**
+     * Show a health check result and let it drive reconnection
+     */
+    handleHealthResult(result) {
+        this.updateHealthDisplay();
+        this.websocket.setServerReachable(result.reachable);
+    }
+
+    /**
+     * Refresh the health badge and server info panel
+     */
+    updateHealthDisplay() {
+        const monitor = this.healthMonitor;
+        this.ui.updateHealthBadge(monitor.lastResult, monitor.intervalMs > 0);
+        this.ui.updateServerInfo(
+            this.config.getConfigSummary(),
+            monitor.lastResult,
+            monitor.history,
+            monitor.getLatencyStats()
+        );
+    }
+
+    /**
+     * Run a health check on demand
+     */
+    async handleHealthCheckClick() {
+        await this.healthMonitor.check();
+    }
+
     /**
      * Handle WebSocket errors
      */
     handleWebSocketError(error) {
         console.error('WebSocket error:', error);
-        this.ui.showError('Connection error: ' + error.message);
+        
+        if (error instanceof AuthenticationError) {
+            this.ui.showAuthenticationFailed();
+            this.ui.showError(error.message);
+            return;
+        }
+        
+        this.ui.showError(this.i18n.t('Connection error: {error}', { error: error.message }));
         
         // Auto-expand configuration section on connection error
         this.ui.showConfigSection();
@@ -143,25 +652,32 @@ class WhisperFlowApp {
     /**
      * Handle audio chunks from microphone
      */
-    handleAudioChunk(audioChunk) {
-        if (this.isRecording && this.websocket.isConnected) {
-            try {
-                this.chunkCount++;
-                
-                // Debug logging (only log every 100th chunk to avoid spam)
-                if (this.chunkCount % 100 === 0) {
-                    console.log(`Sent ${this.chunkCount} audio chunks, chunk size: ${audioChunk.byteLength} bytes`);
-                }
-                
-                this.websocket.sendAudioChunk(audioChunk);
-            } catch (error) {
-                console.error('Failed to send audio chunk:', error);
-                this.ui.showError('Failed to send audio data');
-                this.stopRecording();
+    handleAudioChunk(audioChunk, isSpeech) {
+        if (this.isRecording) {
+            this.chunkCount++;
+            if (isSpeech) {
+                this.metrics.recordSpeech();
             }
+            
+            // Debug logging (only log every 100th chunk to avoid spam)
+            if (this.chunkCount % 100 === 0) {
+                console.log(`Sent ${this.chunkCount} audio chunks, chunk size: ${audioChunk.byteLength} bytes`);
+            }
+            
+            // Sent immediately when connected, otherwise buffered until reconnect
+            this.websocket.queueAudioChunk(audioChunk);
         }
     }
 
+    /**
+     * Keep a local copy of captured audio
+     * Every captured chunk is kept, including ones held back by throttling or the
+     * voice gate, so positions in the recording match the transcript line times
+     */
+    handleCapturedAudio(pcmData) {
+        this.recorder.append(pcmData);
+    }
+
     /**
      * Handle audio level updates
      */
@@ -169,12 +685,48 @@ class WhisperFlowApp {
         this.ui.updateAudioLevel(level);
     }
 
+    /**
+     * Stop recording once the configured amount of silence has passed
+     */
+    handleSilenceTimeout() {
+        if (!this.isRecording) return;
+        
+        const seconds = this.config.getCurrentConfig().autoStopSilenceSeconds;
+        this.stopRecording();
+        this.ui.showSuccess(this.i18n.t('Recording stopped after {seconds} seconds of silence', { seconds: seconds }));
+    }
+
+    /**
+     * Apply voice activity detection settings from the current configuration
+     */
+    applyAudioSettings() {
+        const config = this.config.getCurrentConfig();
+        
+        if (!config.vadEnabled && !config.autoStopSilenceSeconds) {
+            this.audioProcessor.setVoiceActivityDetection(null);
+            return;
+        }
+        
+        // The detector also tracks silence for auto-stop when gating is off
+        this.audioProcessor.setVoiceActivityDetection({
+            gateAudio: config.vadEnabled,
+            energyThreshold: config.vadThreshold,
+            hangoverMs: config.vadHangoverMs,
+            preRollMs: config.vadPreRollMs,
+            silenceTimeoutMs: config.autoStopSilenceSeconds * 1000
+        });
+    }
+
     /**
      * Handle record button click
      */
     async handleRecordButtonClick() {
+        if (this.fileStreamer.isStreaming) {
+            this.ui.showError(this.i18n.t('Stop streaming the file before recording'));
+            return;
+        }
         if (!this.websocket.isConnected) {
-            this.ui.showError('Not connected to server');
+            this.ui.showError(this.i18n.t('Not connected to server'));
             return;
         }
         
@@ -182,7 +734,7 @@ class WhisperFlowApp {
             this.startRecording();
         } catch (error) {
             console.error('Failed to start recording:', error);
-            this.ui.showError('Failed to start recording: ' + error.message);
+            this.ui.showError(this.i18n.t('Failed to start recording: {error}', { error: error.message }));
         }
     }
 
@@ -190,21 +742,55 @@ class WhisperFlowApp {
      * Handle stop button click
      */
     handleStopButtonClick() {
+        if (this.fileStreamer.isStreaming) {
+            this.fileStreamer.stop();
+            return;
+        }
         this.stopRecording();
     }
 
+    /**
+     * Start a new transcript for a recording or streamed file
+     */
+    beginSession(session, source) {
+        this.audioSource = source;
+        this.partialText = null;
+        this.discardLateResults = false;
+        this.metrics.resetUtterance();
+        this.chunkCount = 0; // Reset chunk counter
+        this.utteranceStart = 0;
+        this.websocket.clearPendingAudio();
+        this.currentSession = session;
+        this.ui.clearTranscription();
+        this.transcript.clear();
+        this.transcriptSession = session;
+        this.transcriptTitle = session.title;
+        this.ui.hideRecording();
+    }
+
     /**
      * Start recording
      */
     startRecording() {
         if (this.isRecording) return;
+        if (this.recordingPaused) {
+            this.stopRecording();
+        }
         
         this.isRecording = true;
-        this.chunkCount = 0; // Reset chunk counter
+        this.beginSession(TranscriptHistory.createSession({
+            type: 'recording',
+            serverConfig: this.config.withoutSecrets(this.config.getCurrentConfig())
+        }), 'microphone');
+        if (this.config.getCurrentConfig().keepRecording) {
+            this.recorder.start();
+        } else {
+            this.recorder.clear();
+        }
         this.audioProcessor.startRecording();
         this.ui.updateRecordingState(true);
-        this.ui.clearTranscription();
-        this.ui.showSuccess('Recording started');
+        this.ui.showSuccess(this.i18n.t('Recording started'));
+        this.emit('recordingstart', { session: this.currentSession, source: 'microphone' });
         
         console.log('Recording started');
     }
@@ -213,60 +799,355 @@ class WhisperFlowApp {
      * Stop recording
      */
     stopRecording() {
+        if (this.recordingPaused) {
+            // Capture already stopped at the last push-to-talk release; just close the session
+            this.recordingPaused = false;
+            this.finishSession();
+            this.recorder.clear();
+            return;
+        }
         if (!this.isRecording) return;
         
         this.isRecording = false;
         this.audioProcessor.stopRecording();
+        const session = this.currentSession;
+        this.finishSession();
+        
+        const recording = this.recorder.stop();
+        if (recording) {
+            this.ui.showRecording(recording, `${this.getExportBaseName()}.wav`);
+            this.recorder.clear();
+        }
         this.ui.updateRecordingState(false);
-        this.ui.showSuccess('Recording stopped');
+        this.ui.showSuccess(this.i18n.t('Recording stopped'));
+        this.emit('recordingstop', { session: session, source: 'microphone', duration: this.getRecordingPosition() });
         
         console.log(`Recording stopped. Total chunks sent: ${this.chunkCount}`);
     }
 
     /**
-     * Handle file selection
+     * Replay a file through the live stream, showing partial and final results as for
+     * the microphone; the file becomes the playback audio afterwards
      */
-    handleFileSelected(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.selectedFile = file;
-            this.ui.updateUploadButtonState(true);
-            this.ui.showSuccess(`File selected: ${file.name}`);
+    async startStreaming(file, name) {
+        if (this.isRecording || this.fileStreamer.isStreaming) {
+            this.ui.showError(this.i18n.t('Stop the current recording or stream first'));
+            return;
+        }
+        if (!this.websocket.isConnected) {
+            this.ui.showError(this.i18n.t('Not connected to server'));
+            return;
+        }
+        
+        if (this.recordingPaused) {
+            this.stopRecording();
+        }
+        
+        const config = this.config.getCurrentConfig();
+        const speed = this.ui.getStreamSpeed();
+        this.beginSession(TranscriptHistory.createSession({
+            type: 'stream',
+            serverConfig: this.config.withoutSecrets(config),
+            fileName: name
+        }), 'file');
+        const session = this.currentSession;
+        this.recorder.clear();
+        this.ui.updateRecordingState(true);
+        this.ui.updateStreamProgress(0, 0);
+        this.emit('recordingstart', { session: session, source: 'file' });
+        console.log(`Streaming ${name} at ${speed}x`);
+        
+        let completed = false;
+        try {
+            completed = await this.fileStreamer.start(file, {
+                speed: speed,
+                channelMode: config.channelMode,
+                channelIndex: config.channelIndex
+            });
+            this.ui.showSuccess(completed ? this.i18n.t('Finished streaming {name}', { name: name }) : this.i18n.t('Streaming stopped'));
+        } catch (error) {
+            console.error('Failed to stream file:', error);
+            this.ui.showError(this.i18n.t('Failed to stream {name}: {error}', { name: name, error: error.message }));
+        }
+        
+        // A newer recording or stream may have started while this one was ending
+        if (this.currentSession === session) {
+            this.finishSession();
+        }
+        if (this.transcriptSession === session) {
+            this.ui.showRecording(file, name);
+        }
+        this.ui.updateStreamProgress(null);
+        this.ui.updateRecordingState(this.isRecording);
+        this.emit('recordingstop', { session: session, source: 'file', duration: this.fileStreamer.getPosition() });
+    }
+
+    /**
+     * Run a keyboard shortcut
+     */
+    handleShortcut(action) {
+        switch (action) {
+            case 'toggleRecording':
+                if (this.isRecording) {
+                    this.handleStopButtonClick();
+                } else {
+                    this.handleRecordButtonClick();
+                }
+                break;
+            case 'startRecording':
+                if (!this.isRecording) {
+                    this.handleRecordButtonClick();
+                }
+                break;
+            case 'stopRecording':
+                this.handleStopButtonClick();
+                break;
+            case 'clearTranscript':
+                this.handleClearTranscript();
+                break;
+            case 'copyTranscript':
+                this.handleCopyTranscriptClick();
+                break;
+            case 'openSettings':
+                this.ui.toggleConfigSection();
+                break;
+            case 'showHelp':
+                this.showShortcutHelp();
+                break;
         }
     }
 
     /**
-     * Handle file drop
+     * Record while the push-to-talk key is held
+     * Presses add to the same transcript and session until recording is stopped or a new
+     * one is started. On release, the server gets a moment to finalize the last utterance;
+     * whatever is still partial after that is finalized locally and later results are ignored
      */
-    handleFileDropped(event) {
-        const files = event.dataTransfer.files;
-        if (files.length > 0) {
-            const file = files[0];
-            if (file.type.startsWith('audio/')) {
-                this.selectedFile = file;
-                this.ui.updateUploadButtonState(true);
-                this.ui.showSuccess(`File dropped: ${file.name}`);
+    handlePushToTalk(pressed) {
+        if (pressed) {
+            if (this.pushToTalkTimer) {
+                this.finalizePushToTalk();
+            }
+            if (this.recordingPaused) {
+                this.resumeRecording();
             } else {
-                this.ui.showError('Please select an audio file');
+                this.handleRecordButtonClick();
             }
+            return;
         }
+        
+        if (!this.isRecording) return;
+        
+        this.pauseRecording();
+        this.pushToTalkTimer = setTimeout(() => this.finalizePushToTalk(), WhisperFlowApp.PUSH_TO_TALK_FINALIZE_MS);
     }
 
     /**
-     * Handle apply configuration click
+     * Stop capturing at a push-to-talk release, keeping the transcript and session open
      */
-    async handleApplyConfigClick() {
-        try {
-            // Get configuration from form
-            const newConfig = this.ui.getConfigFromForm();
+    pauseRecording() {
+        this.isRecording = false;
+        this.recordingPaused = true;
+        this.audioProcessor.stopRecording();
+        
+        // Offer what was kept so far; the next press appends to it
+        const recording = this.recorder.stop();
+        if (recording) {
+            this.ui.showRecording(recording, `${this.getExportBaseName()}.wav`);
+        }
+        this.ui.updateRecordingState(false);
+        this.emit('recordingstop', { session: this.currentSession, source: 'microphone', duration: this.getRecordingPosition() });
+    }
+
+    /**
+     * Capture again at the next push-to-talk press, continuing the paused transcript
+     */
+    resumeRecording() {
+        this.isRecording = true;
+        this.recordingPaused = false;
+        this.partialText = null;
+        this.discardLateResults = false;
+        this.metrics.resetUtterance();
+        this.utteranceStart = this.getRecordingPosition();
+        this.recorder.resume();
+        this.audioProcessor.resumeRecording();
+        this.ui.updateRecordingState(true);
+        this.emit('recordingstart', { session: this.currentSession, source: 'microphone' });
+    }
+
+    /**
+     * Turn the pending partial result into a final line
+     */
+    finalizePushToTalk() {
+        clearTimeout(this.pushToTalkTimer);
+        this.pushToTalkTimer = null;
+        this.discardLateResults = true;
+        
+        if (!this.partialText) return;
+        
+        const timing = this.getUtteranceTiming({ segments: [] });
+        this.ui.clearPartialTranscription();
+        this.transcript.append({ text: this.partialText, start: timing.start, end: timing.end });
+        this.emit('final', { text: this.partialText, start: timing.start, end: timing.end, message: null });
+        this.partialText = null;
+    }
+
+    /**
+     * Delete every transcript line; undo brings them back
+     */
+    handleClearTranscript() {
+        if (this.transcript.removeAll()) {
+            this.ui.showInfo(this.i18n.t('Transcript cleared. Undo restores it'));
+        }
+    }
+
+    /**
+     * Apply keyboard shortcut settings from the current configuration
+     */
+    applyShortcutSettings() {
+        const config = this.config.getCurrentConfig();
+        this.shortcuts.setBindings(config.shortcuts);
+        this.shortcuts.setPushToTalk(config.pushToTalk);
+        if (!config.pushToTalk && this.recordingPaused) {
+            this.stopRecording();
+        }
+    }
+
+    /**
+     * Open the shortcut help overlay, pausing shortcuts while it is open
+     */
+    showShortcutHelp() {
+        const config = this.config.getCurrentConfig();
+        this.shortcuts.setEnabled(false);
+        this.ui.showShortcutHelp(this.shortcuts.bindings, config.pushToTalk);
+    }
+
+    /**
+     * Resume shortcuts when the help overlay closes
+     */
+    handleShortcutHelpClosed() {
+        this.shortcuts.setEnabled(true);
+    }
+
+    /**
+     * Bind an action to a new key combination
+     */
+    handleShortcutChange(action, combo) {
+        const other = this.shortcuts.getAction(combo) ||
+            (action !== 'pushToTalk' && combo === this.shortcuts.bindings.pushToTalk ? 'pushToTalk' : null);
+        if (other && other !== action) {
+            const label = KeyboardShortcuts.ACTIONS.find(entry => entry.id === other).label;
+            this.ui.showError(this.i18n.t('{combo} is already used for "{action}"', { combo: combo, action: this.i18n.t(label) }));
+            this.showShortcutHelp();
+            return;
+        }
+        
+        const config = this.config.getCurrentConfig();
+        this.saveShortcuts({ ...config.shortcuts, [action]: combo });
+    }
+
+    /**
+     * Restore the default key bindings
+     */
+    handleShortcutsReset() {
+        this.saveShortcuts({ ...this.config.DEFAULT_SERVER_CONFIG.shortcuts });
+    }
+
+    /**
+     * Save key bindings to the configuration and refresh the help overlay
+     */
+    saveShortcuts(shortcuts) {
+        try {
+            const config = this.config.getCurrentConfig();
+            this.config.updateConfig({ ...config, shortcuts: shortcuts });
+            this.applyShortcutSettings();
+            this.showShortcutHelp();
+        } catch (error) {
+            console.error('Failed to save shortcuts:', error);
+            this.ui.showError(this.i18n.t('Failed to save shortcuts: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Close the active recording session, keeping it only if it produced text
+     */
+    finishSession() {
+        if (!this.currentSession) return;
+        
+        const session = this.currentSession;
+        this.currentSession = null;
+        session.endedAt = Date.now();
+        
+        if (session.lines.length > 0) {
+            this.saveSession(session);
+        }
+    }
+
+    /**
+     * Handle file selection
+     */
+    handleFileSelected(event) {
+        const files = Array.from(event.target.files);
+        this.ui.clearFileSelection();
+        this.queueFiles(files.map(file => ({ file: file, name: file.name })));
+    }
+
+    /**
+     * Handle a drop of files or folders
+     */
+    async handleFileDropped(event) {
+        try {
+            const entries = await TranscriptionQueue.collectDroppedFiles(event.dataTransfer);
+            this.queueFiles(entries);
+        } catch (error) {
+            console.error('Failed to read dropped files:', error);
+            this.ui.showError(this.i18n.t('Failed to read dropped files: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Add audio files to the transcription queue, skipping anything else
+     */
+    queueFiles(entries) {
+        const audio = entries.filter(entry => TranscriptionQueue.isAudioFile(entry.file));
+        const skipped = entries.length - audio.length;
+        
+        if (audio.length === 0) {
+            this.ui.showError(this.i18n.t('Please select audio files'));
+            return;
+        }
+        
+        this.queue.add(audio);
+        let message = this.i18n.t(audio.length === 1 ? 'Queued 1 file' : 'Queued {count} files', { count: audio.length });
+        if (skipped > 0) {
+            message += `, ${this.i18n.t(skipped === 1 ? 'skipped 1 non-audio file' : 'skipped {count} non-audio files', { count: skipped })}`;
+        }
+        this.ui.showSuccess(message);
+    }
+
+    /**
+     * Handle apply configuration click
+     */
+    async handleApplyConfigClick() {
+        try {
+            // Get configuration from form
+            const newConfig = this.ui.getConfigFromForm();
             
             // Update configuration and reconnect
             await this.websocket.updateConfig(newConfig);
+            this.applyAudioSettings();
+            this.applyBufferSettings();
+            this.applyQueueSettings();
+            this.applyShortcutSettings();
+            this.applyHealthSettings();
             
             // Update UI display
             this.ui.updateConfigDisplay();
             
-            this.ui.showConfigSuccess(`Connected to ${newConfig.hostname}:${newConfig.port}`);
+            this.ui.showConfigSuccess(this.i18n.t('Connected to {server} using {model}', {
+                server: this.config.getServerLabel(),
+                model: newConfig.model
+            }));
             
         } catch (error) {
             console.error('Failed to apply configuration:', error);
@@ -280,15 +1161,20 @@ class WhisperFlowApp {
     async handleResetConfigClick() {
         try {
             // Reset to code constants
-            window.WhisperFlowConfig.resetToCodeConstants();
+            this.config.resetToCodeConstants();
             
             // Update WebSocket with new config
-            await this.websocket.updateConfig(window.WhisperFlowConfig.getCurrentConfig());
+            await this.websocket.updateConfig(this.config.getCurrentConfig());
+            this.applyAudioSettings();
+            this.applyBufferSettings();
+            this.applyQueueSettings();
+            this.applyShortcutSettings();
+            this.applyHealthSettings();
             
             // Update UI display
             this.ui.updateConfigDisplay();
             
-            this.ui.showConfigSuccess('Reset to default configuration');
+            this.ui.showConfigSuccess(this.i18n.t('Reset to default configuration'));
             
         } catch (error) {
             console.error('Failed to reset configuration:', error);
@@ -296,48 +1182,466 @@ class WhisperFlowApp {
         }
     }
 
+    /**
+     * Apply the current configuration after a profile change and reconnect
+     */
+    async applyCurrentConfig() {
+        this.ui.updateConfigDisplay();
+        this.applyAudioSettings();
+        this.applyBufferSettings();
+        this.applyQueueSettings();
+        this.applyShortcutSettings();
+        await this.websocket.reconnect();
+        this.applyHealthSettings();
+    }
+
+    /**
+     * Switch to another server profile
+     */
+    async handleProfileSwitch(name) {
+        try {
+            this.config.switchProfile(name);
+            await this.applyCurrentConfig();
+            this.ui.showConfigSuccess(this.i18n.t('Switched to profile {name}', { name: name }));
+        } catch (error) {
+            console.error('Failed to switch profile:', error);
+            this.ui.showConfigError(error.message);
+            this.ui.updateConfigDisplay();
+        }
+    }
+
+    /**
+     * Create a profile from the settings currently in the form
+     */
+    handleProfileCreate() {
+        try {
+            const config = this.ui.getConfigFromForm();
+            const name = this.ui.promptProfileName(this.i18n.t('New profile name:'));
+            if (!name) return;
+            
+            const profileName = this.config.createProfile(name, config);
+            this.ui.updateConfigDisplay();
+            this.ui.showConfigSuccess(this.i18n.t('Created profile {name}. Click "Apply & Connect" to use it', { name: profileName }));
+        } catch (error) {
+            console.error('Failed to create profile:', error);
+            this.ui.showConfigError(error.message);
+        }
+    }
+
+    /**
+     * Rename the active profile
+     */
+    handleProfileRename() {
+        try {
+            const currentName = this.config.getActiveProfileName();
+            const name = this.ui.promptProfileName(this.i18n.t('Profile name:'), currentName);
+            if (!name) return;
+            
+            // Save the active profile first so a never-saved default can be renamed
+            if (!this.config.listProfiles().includes(currentName)) {
+                this.config.saveConfigToLocalStorage(this.config.getCurrentConfig());
+            }
+            
+            const profileName = this.config.renameProfile(currentName, name);
+            this.ui.updateConfigDisplay();
+            this.ui.showConfigSuccess(this.i18n.t('Renamed profile to {name}', { name: profileName }));
+        } catch (error) {
+            console.error('Failed to rename profile:', error);
+            this.ui.showConfigError(error.message);
+        }
+    }
+
+    /**
+     * Delete the active profile and switch to another one
+     */
+    async handleProfileDelete() {
+        const name = this.config.getActiveProfileName();
+        if (!this.ui.confirmDeleteProfile(name)) return;
+        
+        try {
+            this.config.deleteProfile(name);
+            await this.applyCurrentConfig();
+            this.ui.showConfigSuccess(this.i18n.t('Deleted profile {name}', { name: name }));
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            this.ui.showConfigError(error.message);
+        }
+    }
+
+    /**
+     * Download all profiles as a JSON file
+     */
+    handleProfilesExport() {
+        if (this.config.listProfiles().length === 0) {
+            this.ui.showConfigError(this.i18n.t('No saved profiles to export'));
+            return;
+        }
+        
+        this.ui.downloadFile(this.config.exportProfiles(), 'whisper-flow-profiles.json', 'application/json');
+        this.ui.showConfigSuccess(this.i18n.t('Exported profiles'));
+    }
+
+    /**
+     * Import profiles from a JSON file
+     */
+    async handleProfilesImport(file) {
+        try {
+            const result = this.config.importProfiles(await file.text());
+            const activeProfile = this.config.getActiveProfileName();
+            
+            // Reload the active profile if the import replaced it
+            if (result.imported.includes(activeProfile)) {
+                this.config.switchProfile(activeProfile);
+                await this.applyCurrentConfig();
+            } else {
+                this.ui.updateConfigDisplay();
+            }
+            
+            let message = this.i18n.t('Imported {count} profile(s)', { count: result.imported.length });
+            if (result.skipped.length > 0) {
+                message += `, ${this.i18n.t('skipped invalid: {names}', { names: result.skipped.join(', ') })}`;
+            }
+            this.ui.showConfigSuccess(message);
+        } catch (error) {
+            console.error('Failed to import profiles:', error);
+            this.ui.showConfigError(error.message);
+        }
+    }
+
     /**
      * Handle upload button click
      */
-    async handleUploadButtonClick() {
-        if (!this.selectedFile) {
-            this.ui.showError('No file selected');
+    handleUploadButtonClick() {
+        const counts = this.queue.getCounts();
+        if (counts.pending === 0) {
+            this.ui.showError(this.i18n.t('No files queued'));
             return;
         }
         
+        this.ui.showInfo(this.i18n.t(counts.pending === 1 ? 'Transcribing 1 file...' : 'Transcribing {count} files...', { count: counts.pending }));
+        this.queue.start();
+    }
+
+    /**
+     * Transcribe one queued file, reporting the outcome to listeners
+     */
+    async processQueueItem(item, update) {
         try {
-            this.ui.showSuccess('Processing audio file...');
+            const result = await this.transcribeQueueItem(item, update);
+            this.emit('uploadresult', { status: 'done', name: item.name, file: item.file, result: result, error: null });
+            return result;
+        } catch (error) {
+            this.emit('uploadresult', { status: 'failed', name: item.name, file: item.file, result: null, error: error });
+            throw error;
+        }
+    }
+
+    /**
+     * Transcribe one queued file and save it to history
+     */
+    async transcribeQueueItem(item, update) {
+        const config = this.config.getCurrentConfig();
+        // Created now so the session starts when the file does, not when it finishes
+        const session = TranscriptHistory.createSession({
+            type: 'upload',
+            serverConfig: this.config.withoutSecrets(config),
+            fileName: item.name
+        });
+        
+        let result;
+        try {
+            result = await this.transcribeFile(item.file, config, (progress, label) => {
+                update({ status: 'uploading', progress: progress, label: label });
+            });
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                this.ui.showAuthenticationFailed();
+                // The other files would fail the same way, so wait for new settings
+                this.queue.pause();
+            }
+            throw error;
+        }
+        
+        if (result.lines.length === 0 && result.failedSegments.length > 0) {
+            throw new Error(this.i18n.t('All segments failed'));
+        }
+        
+        // Keep the saved session with the result, so edits after "Open" are saved to it
+        result.session = null;
+        if (result.lines.length > 0) {
+            session.lines.push(...result.lines);
+            session.endedAt = Date.now();
+            await this.saveSession(session);
+            result.session = session;
+        }
+        return result;
+    }
+
+    /**
+     * Redraw the queue and report when a run finishes
+     */
+    handleQueueChange() {
+        const counts = this.queue.getCounts();
+        this.ui.renderQueue(this.queue.items, counts);
+        this.ui.updateUploadButtonState(counts.pending > 0 && !this.queue.isRunning);
+        
+        if (this.queueWasRunning && !this.queue.isRunning) {
+            if (this.queue.isPaused) {
+                this.ui.showWarning(this.i18n.t('Uploads paused until the server settings change'));
+            } else if (counts.failed > 0) {
+                this.ui.showError(this.i18n.t(counts.failed === 1 ? '1 file failed to transcribe' : '{count} files failed to transcribe', { count: counts.failed }));
+            } else {
+                this.ui.showSuccess(this.i18n.t('All files transcribed'));
+            }
+        }
+        this.queueWasRunning = this.queue.isRunning;
+    }
+
+    /**
+     * Handle a button on a queued file
+     */
+    handleQueueItemAction(action, itemId) {
+        const item = this.queue.getItem(itemId);
+        if (!item) return;
+        
+        switch (action) {
+            case 'up':
+                this.queue.move(itemId, -1);
+                break;
+            case 'down':
+                this.queue.move(itemId, 1);
+                break;
+            case 'remove':
+                this.queue.remove(itemId);
+                break;
+            case 'retry':
+                this.queue.retry(itemId);
+                break;
+            case 'open':
+                this.openTranscript(item.result.lines, item.name, item.result.session);
+                this.ui.showSuccess(this.i18n.t('Opened transcript: {name}', { name: item.name }));
+                break;
+            case 'stream':
+                this.startStreaming(item.file, item.name);
+                break;
+        }
+    }
+
+    /**
+     * Queue every failed file again
+     */
+    handleQueueRetryFailed() {
+        this.queue.retryFailed();
+    }
+
+    /**
+     * Remove transcribed files from the queue
+     */
+    handleQueueClearFinished() {
+        this.queue.clearFinished();
+    }
+
+    /**
+     * Size the transcription queue from the current configuration
+     */
+    applyQueueSettings() {
+        this.queue.setConcurrency(this.config.getCurrentConfig().queueConcurrency);
+        
+        // New settings may fix the token, so retry the files that failed authentication
+        if (this.queue.isPaused) {
+            this.queue.items
+                .filter(item => item.status === 'failed' && item.error instanceof AuthenticationError)
+                .forEach(item => this.queue.retry(item.id));
+            this.queue.start();
+        }
+    }
+
+    /**
+     * Decode a file and transcribe it segment by segment
+     * Resolves with timed lines, the joined text and any failed segment labels
+     */
+    async transcribeFile(file, config, onProgress) {
+        // Decode the file into one or more tracks, depending on channel handling
+        const tracks = await FileAudioProcessor.decodeFile(file, config.channelMode, config.channelIndex);
+        const transcriber = new SegmentedTranscriber(this.websocket);
+        const texts = [];
+        const failedSegments = [];
+        let lines = [];
+        
+        for (const track of tracks) {
+            const label = tracks.length > 1 ? `Channel ${track.channel + 1}` : null;
+            const prefix = label ? `${label}: ` : '';
+            const segments = FileAudioProcessor.splitIntoSegments(
+                track.samples, 16000, config.segmentSeconds, config.segmentOverlapSeconds
+            );
             
-            // Convert file to PCM format
-            const pcmData = await FileAudioProcessor.convertFileToPCM(this.selectedFile);
+            // Send segments in order, reporting progress
+            transcriber.onProgress = progress => onProgress(progress, label);
+            const result = await transcriber.transcribe(segments);
             
-            // Create a file-like object for the API
-            const pcmFile = new File([pcmData], 'audio.pcm', { type: 'application/octet-stream' });
+            // One timed line per segment, covering audio up to where the next segment starts
+            lines = lines.concat(result.segments
+                .map((segmentResult, index) => ({
+                    text: segmentResult.text ? prefix + segmentResult.text : '',
+                    start: segmentResult.segment.start,
+                    end: index + 1 < segments.length ? segments[index + 1].start : segmentResult.segment.end
+                }))
+                .filter(line => line.text));
             
-            // Send for transcription
-            const result = await this.websocket.sendFileForTranscription(pcmFile);
+            if (result.text) {
+                texts.push(prefix + result.text);
+            }
+            result.failedSegments.forEach(index => {
+                failedSegments.push(label ? `${label} #${index + 1}` : `#${index + 1}`);
+            });
+        }
+        
+        // Interleave separately transcribed channels by time
+        lines.sort((a, b) => a.start - b.start);
+        
+        return {
+            lines: lines,
+            text: texts.join('\n'),
+            failedSegments: failedSegments
+        };
+    }
+
+    /**
+     * Reopen a saved session in the transcription display
+     */
+    async handleHistorySessionOpen(sessionId) {
+        try {
+            const session = await this.history.getSession(sessionId);
+            if (!session) {
+                this.ui.showError(this.i18n.t('Session not found'));
+                return;
+            }
             
-            if (result && result.text) {
-                this.ui.showUploadResult(true, `Transcription: ${result.text}`);
-                this.ui.addTranscriptionLine(result.text, false);
-            } else {
-                this.ui.showUploadResult(false, 'No transcription result received');
+            this.openTranscript(session.lines, session.title, session);
+            this.ui.showSuccess(this.i18n.t('Opened session: {title}', { title: session.title }));
+        } catch (error) {
+            console.error('Failed to open session:', error);
+            this.ui.showError(this.i18n.t('Failed to open session: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Show saved lines in the transcription display
+     */
+    openTranscript(lines, title, session = null) {
+        if (this.isRecording || this.recordingPaused) {
+            this.stopRecording();
+        }
+        
+        // The kept recording belongs to the previous transcript
+        this.ui.hideRecording();
+        this.ui.clearTranscription();
+        this.transcriptSession = session;
+        this.transcriptTitle = title;
+        this.transcript.setLines(lines);
+    }
+
+    /**
+     * Rename a saved session
+     */
+    async handleHistorySessionRename(sessionId) {
+        try {
+            const session = await this.history.getSession(sessionId);
+            if (!session) {
+                this.ui.showError(this.i18n.t('Session not found'));
+                return;
             }
             
+            const title = this.ui.promptSessionTitle(session.title);
+            if (!title) return;
+            
+            await this.history.renameSession(sessionId, title);
+            if (this.currentSession && this.currentSession.id === sessionId) {
+                this.currentSession.title = title;
+            }
+            if (this.transcriptSession && this.transcriptSession.id === sessionId) {
+                this.transcriptSession.title = title;
+                this.transcriptTitle = title;
+            }
+            await this.refreshHistory();
         } catch (error) {
-            console.error('Failed to process file:', error);
-            this.ui.showUploadResult(false, 'Failed to process file: ' + error.message);
+            console.error('Failed to rename session:', error);
+            this.ui.showError(this.i18n.t('Failed to rename session: {error}', { error: error.message }));
         }
     }
 
+    /**
+     * Delete a saved session
+     */
+    async handleHistorySessionDelete(sessionId) {
+        try {
+            const session = await this.history.getSession(sessionId);
+            if (!session || !this.ui.confirmDeleteSession(session.title)) return;
+            
+            await this.history.deleteSession(sessionId);
+            if (this.currentSession && this.currentSession.id === sessionId) {
+                // Stop persisting the active recording once its record is gone
+                this.currentSession = null;
+            }
+            if (this.transcriptSession && this.transcriptSession.id === sessionId) {
+                this.transcriptSession = null;
+            }
+            await this.refreshHistory();
+            this.ui.showSuccess(this.i18n.t('Deleted session: {title}', { title: session.title }));
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.ui.showError(this.i18n.t('Failed to delete session: {error}', { error: error.message }));
+        }
+    }
+
+    /**
+     * Export the current transcript as an SRT or WebVTT subtitle file
+     */
+    handleExportSubtitlesClick(format) {
+        const lines = this.transcript.getLines();
+        if (lines.length === 0) {
+            this.ui.showError(this.i18n.t('No finalized transcription to export'));
+            return;
+        }
+        
+        const baseName = this.getExportBaseName();
+        
+        if (format === 'vtt') {
+            this.ui.downloadFile(SubtitleExporter.toVTT(lines), `${baseName}.vtt`, 'text/vtt');
+        } else {
+            this.ui.downloadFile(SubtitleExporter.toSRT(lines), `${baseName}.srt`, 'application/x-subrip');
+        }
+        
+        this.ui.showSuccess(this.i18n.t('Exported {format} subtitles', { format: format.toUpperCase() }));
+    }
+
+    /**
+     * File name, without extension, for downloads of the current transcript
+     */
+    getExportBaseName() {
+        return (this.transcriptTitle || 'transcript')
+            .replace(/\.[^.]+$/, '')
+            .replace(/[^\w\-]+/g, '_');
+    }
+
     /**
      * Clean up resources
      */
     cleanup() {
+        if (this.fileStreamer) {
+            this.fileStreamer.stop();
+        }
+        this.finishSession();
+        
         if (this.audioProcessor) {
             this.audioProcessor.cleanup();
         }
         
+        if (this.healthMonitor) {
+            this.healthMonitor.stop();
+        }
+        clearInterval(this.metricsTimer);
+        
         if (this.websocket) {
             this.websocket.disconnect();
         }
@@ -346,6 +1650,9 @@ class WhisperFlowApp {
     }
 }
 
+// Time the server gets to finalize the last utterance after push-to-talk is released
+WhisperFlowApp.PUSH_TO_TALK_FINALIZE_MS = 1500;
+
 // Initialize application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.whisperFlowApp = new WhisperFlowApp();
@@ -3,24 +3,43 @@
  * Handles microphone access, audio processing, and PCM chunk generation
  */
 
-class AudioProcessor {
+import { Emitter } from './emitter.js';
+import { VoiceActivityDetector } from './vad.js';
+
+/**
+ * Events (CustomEvent, payload in event.detail):
+ *   audiochunk     - { data, isSpeech }, PCM chunk to send, after throttling and VAD; isSpeech is null without a VAD
+ *   capturedaudio  - { data }, every captured PCM chunk, lining up with getCapturedDuration()
+ *   audiolevel     - { level }, input level from 0 to 1
+ *   silencetimeout - the VAD silence timeout was reached
+ *   devicechange   - { type: 'list', 'fallback' or 'lost', devices, ... } for devices added, removed or replaced
+ */
+class AudioProcessor extends Emitter {
     constructor() {
+        super();
         this.audioContext = null;
         this.mediaStream = null;
+        this.sourceNode = null;
         this.analyser = null;
         this.scriptProcessor = null;
+        this.workletNode = null;
+        this.workletUrl = new URL('./pcm-worklet.js', import.meta.url).href; // Next to this module
+        this.captureMode = null; // 'worklet' or 'scriptProcessor'
         this.isRecording = false;
         this.sampleRate = 16000; // Whisper expects 16kHz
         this.chunkSize = 1024; // Audio chunk size - matches server expectation
-        this.onAudioChunk = null; // Callback for audio chunks
-        this.onAudioLevel = null; // Callback for audio level updates
         this.lastChunkTime = 0; // For timing control
+        this.capturedSamples = 0; // Samples captured since recording started
+        this.skippedChunks = 0; // Chunks dropped by the send throttle since recording started
+        this.vad = null; // Optional VoiceActivityDetector
+        this.pendingFallback = null; // Switch to the default device in progress, shared by overlapping callers
     }
 
     /**
      * Initialize audio context and request microphone access
+     * deviceId selects an input device; an empty string uses the browser default
      */
-    async initialize() {
+    async initialize(deviceId = '') {
         try {
             // Create audio context with specific sample rate
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
@@ -28,40 +47,34 @@ class AudioProcessor {
             });
             
             // Request microphone access
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    sampleRate: this.sampleRate,
-                    channelCount: 1,
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                }
-            });
-
-            // Create audio source
-            const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+            const stream = await this.openInputStream(deviceId);
             
             // Create analyser for audio level visualization
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
-            source.connect(this.analyser);
 
-            // Create script processor for audio processing
-            // Note: ScriptProcessor is deprecated but still widely supported
-            // For production, consider using AudioWorklet
-            this.scriptProcessor = this.audioContext.createScriptProcessor(
-                this.chunkSize, 
-                1, // input channels
-                1  // output channels
-            );
+            // Create the capture node, preferring an AudioWorklet so PCM
+            // conversion does not compete with the UI thread
+            if (this.supportsAudioWorklet()) {
+                try {
+                    await this.createWorkletNode();
+                } catch (error) {
+                    console.warn('AudioWorklet unavailable, falling back to ScriptProcessor:', error);
+                    this.createScriptProcessorNode();
+                }
+            } else {
+                this.createScriptProcessorNode();
+            }
 
-            // Connect the audio graph
-            source.connect(this.scriptProcessor);
-            this.scriptProcessor.connect(this.audioContext.destination);
+            // Connect the microphone to the analyser and capture node
+            this.attachInputStream(stream);
 
             // Set up audio processing
             this.setupAudioProcessing();
 
+            // Follow devices being plugged in or removed
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceListChange);
+
             console.log(`Audio context initialized with sample rate: ${this.audioContext.sampleRate}`);
             return true;
         } catch (error) {
@@ -71,37 +84,302 @@ class AudioProcessor {
     }
 
     /**
-     * Set up audio processing callbacks
+     * Request a microphone stream, falling back to the default device
+     * if the requested one is no longer available
      */
-    setupAudioProcessing() {
-        // Process audio chunks
-        this.scriptProcessor.onaudioprocess = (event) => {
-            if (!this.isRecording) return;
+    async openInputStream(deviceId = '') {
+        const constraints = {
+            sampleRate: this.sampleRate,
+            channelCount: 1,
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+        
+        if (deviceId) {
+            try {
+                return await navigator.mediaDevices.getUserMedia({
+                    audio: { ...constraints, deviceId: { exact: deviceId } }
+                });
+            } catch (error) {
+                if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+                    throw error;
+                }
+                console.warn(`Input device ${deviceId} unavailable, using the default device`);
+            }
+        }
+        
+        return navigator.mediaDevices.getUserMedia({ audio: constraints });
+    }
+
+    /**
+     * Route a microphone stream into the audio graph, replacing any previous stream
+     */
+    attachInputStream(stream) {
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+        }
+        
+        if (this.mediaStream) {
+            this.mediaStream.getTracks().forEach(track => {
+                track.removeEventListener('ended', this.handleInputEnded);
+                track.stop();
+            });
+        }
+        
+        this.mediaStream = stream;
+        this.sourceNode = this.audioContext.createMediaStreamSource(stream);
+        this.sourceNode.connect(this.analyser);
+        this.sourceNode.connect(this.workletNode || this.scriptProcessor);
+        
+        // A track ends when its device is unplugged or revoked
+        stream.getTracks().forEach(track => track.addEventListener('ended', this.handleInputEnded));
+    }
 
-            const inputBuffer = event.inputBuffer;
-            const inputData = inputBuffer.getChannelData(0);
+    /**
+     * Switch to another input device without interrupting recording
+     */
+    async switchInputDevice(deviceId) {
+        if (!this.audioContext) {
+            throw new Error('Audio not initialized');
+        }
+        
+        // Open the new stream before releasing the old one so a failure leaves capture untouched
+        const stream = await this.openInputStream(deviceId);
+        this.attachInputStream(stream);
+        
+        console.log(`Switched input device to: ${this.getActiveDevice().label}`);
+        return this.getActiveDevice();
+    }
+
+    /**
+     * List available audio input devices
+     */
+    async listInputDevices() {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Microphone ${index + 1}`
+            }));
+    }
+
+    /**
+     * Get the device currently feeding the audio graph
+     */
+    getActiveDevice() {
+        const track = this.mediaStream ? this.mediaStream.getAudioTracks()[0] : null;
+        if (!track) {
+            return { deviceId: null, label: 'None' };
+        }
+        
+        return {
+            deviceId: track.getSettings().deviceId || null,
+            label: track.label || 'Default microphone'
+        };
+    }
+
+    /**
+     * Handle the active input device going away
+     */
+    handleInputEnded = () => this.fallBackToDefaultDevice();
+
+    /**
+     * Handle devices being added or removed
+     */
+    handleDeviceListChange = async () => {
+        const track = this.mediaStream ? this.mediaStream.getAudioTracks()[0] : null;
+        
+        try {
+            const devices = await this.listInputDevices();
             
-            // Convert float32 to int16 PCM
-            const pcmData = this.convertToPCM(inputData);
+            // Unplugging also ends the track; the fallback already under way reports the new list
+            if (this.pendingFallback) {
+                await this.pendingFallback;
+                return;
+            }
             
-            // Validate PCM data
-            this.validatePCMData(pcmData);
+            const activeDeviceId = this.getActiveDevice().deviceId;
+            const stillPresent = devices.some(device => device.deviceId === activeDeviceId);
             
-            // Control timing - send chunks every ~10ms like the Python example
-            const now = Date.now();
-            if (now - this.lastChunkTime >= 10) {
-                // Send chunk to callback
-                if (this.onAudioChunk) {
-                    this.onAudioChunk(pcmData);
-                }
-                this.lastChunkTime = now;
+            if (track && (track.readyState === 'ended' || (activeDeviceId && !stillPresent))) {
+                await this.fallBackToDefaultDevice();
+                return;
             }
-        };
+            
+            this.notifyDeviceChange({ type: 'list', devices: devices });
+        } catch (error) {
+            console.error('Failed to handle device change:', error);
+        }
+    };
+
+    /**
+     * Switch to the default device after the active one disappeared
+     * Callers arriving while a switch is in progress share it instead of starting another
+     */
+    fallBackToDefaultDevice() {
+        if (!this.pendingFallback) {
+            this.pendingFallback = this.switchToDefaultDevice().finally(() => {
+                this.pendingFallback = null;
+            });
+        }
+        return this.pendingFallback;
+    }
+
+    /**
+     * Open the default device and report the change
+     */
+    async switchToDefaultDevice() {
+        if (!this.audioContext) return;
+        
+        const lostDevice = this.getActiveDevice();
+        try {
+            const device = await this.switchInputDevice('');
+            this.notifyDeviceChange({
+                type: 'fallback',
+                lostDevice: lostDevice,
+                device: device,
+                devices: await this.listInputDevices()
+            });
+        } catch (error) {
+            console.error('Failed to fall back to the default input device:', error);
+            this.notifyDeviceChange({ type: 'lost', lostDevice: lostDevice, error: error, devices: [] });
+        }
+    }
+
+    /**
+     * Report device changes to listeners
+     */
+    notifyDeviceChange(change) {
+        this.emit('devicechange', change);
+    }
+
+    /**
+     * Check whether the audio context can load AudioWorklet modules
+     */
+    supportsAudioWorklet() {
+        return Boolean(this.audioContext.audioWorklet) && typeof window.AudioWorkletNode === 'function';
+    }
+
+    /**
+     * Create the AudioWorklet capture node
+     */
+    async createWorkletNode() {
+        await this.audioContext.audioWorklet.addModule(this.workletUrl);
+
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'pcm-capture-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 1,
+            processorOptions: {
+                chunkSize: this.chunkSize
+            }
+        });
+
+        // Connect the audio graph
+        this.workletNode.connect(this.audioContext.destination);
+        this.captureMode = 'worklet';
+    }
+
+    /**
+     * Create the ScriptProcessor capture node (fallback for browsers without AudioWorklet)
+     */
+    createScriptProcessorNode() {
+        // Note: ScriptProcessor is deprecated and runs on the main thread
+        this.scriptProcessor = this.audioContext.createScriptProcessor(
+            this.chunkSize, 
+            1, // input channels
+            1  // output channels
+        );
+
+        // Connect the audio graph
+        this.scriptProcessor.connect(this.audioContext.destination);
+        this.captureMode = 'scriptProcessor';
+    }
+
+    /**
+     * Set up audio processing callbacks
+     */
+    setupAudioProcessing() {
+        if (this.workletNode) {
+            // The worklet posts ready-made int16 PCM buffers
+            this.workletNode.port.onmessage = (event) => {
+                if (!this.isRecording) return;
+                this.handlePCMChunk(event.data);
+            };
+        } else {
+            this.scriptProcessor.onaudioprocess = (event) => {
+                if (!this.isRecording) return;
+
+                const inputBuffer = event.inputBuffer;
+                const inputData = inputBuffer.getChannelData(0);
+                
+                // Convert float32 to int16 PCM
+                this.handlePCMChunk(this.convertToPCM(inputData));
+            };
+        }
 
         // Start audio level monitoring
         this.startAudioLevelMonitoring();
     }
 
+    /**
+     * Validate a PCM chunk and emit it to listeners
+     */
+    handlePCMChunk(pcmData) {
+        // Validate PCM data
+        this.validatePCMData(pcmData);
+        this.capturedSamples += pcmData.byteLength / 2;
+        this.emit('capturedaudio', { data: pcmData });
+        
+        // Control timing - send chunks every ~10ms like the Python example
+        const now = Date.now();
+        if (now - this.lastChunkTime >= 10) {
+            this.lastChunkTime = now;
+            
+            if (!this.vad) {
+                this.emitAudioChunk(pcmData);
+                return;
+            }
+            
+            // Let the VAD hold back silence and release pre-roll with speech
+            const result = this.vad.process(pcmData);
+            // Pre-roll and hangover chunks are silence; only the current chunk can be speech
+            result.chunks.forEach((chunk, index) =>
+                this.emitAudioChunk(chunk, result.isSpeech && index === result.chunks.length - 1));
+            
+            if (result.silenceTimedOut) {
+                this.emit('silencetimeout');
+            }
+        } else {
+            this.skippedChunks++;
+        }
+    }
+
+    /**
+     * Send chunk to listeners
+     */
+    emitAudioChunk(pcmData, isSpeech = null) {
+        this.emit('audiochunk', { data: pcmData, isSpeech: isSpeech });
+    }
+
+    /**
+     * Enable voice activity detection with the given options, or disable it with null
+     */
+    setVoiceActivityDetection(options) {
+        this.vad = options ?
+            new VoiceActivityDetector({ ...options, sampleRate: this.sampleRate }) :
+            null;
+    }
+
+    /**
+     * Get the duration of audio captured since recording started, in seconds
+     */
+    getCapturedDuration() {
+        return this.capturedSamples / this.sampleRate;
+    }
+
     /**
      * Convert float32 audio data to int16 PCM
      * Fixed conversion logic for proper signed 16-bit integers
@@ -162,10 +440,8 @@ class AudioProcessor {
             const average = sum / dataArray.length;
             const level = average / 255; // Normalize to 0-1
             
-            // Send level to callback
-            if (this.onAudioLevel) {
-                this.onAudioLevel(level);
-            }
+            // Send level to listeners
+            this.emit('audiolevel', { level: level });
             
             requestAnimationFrame(updateLevel);
         };
@@ -177,13 +453,28 @@ class AudioProcessor {
      * Start recording audio
      */
     startRecording() {
+        this.capturedSamples = 0;
+        this.skippedChunks = 0;
+        this.resumeRecording();
+    }
+
+    /**
+     * Continue recording after stopRecording(), without resetting the captured duration
+     */
+    resumeRecording() {
         if (!this.audioContext || !this.mediaStream) {
             throw new Error('Audio not initialized');
         }
         
         this.isRecording = true;
         this.lastChunkTime = 0;
-        console.log('Started recording audio');
+        if (this.vad) {
+            this.vad.reset();
+        }
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'start' });
+        }
+        console.log(`Started recording audio (${this.captureMode})`);
     }
 
     /**
@@ -191,6 +482,9 @@ class AudioProcessor {
      */
     stopRecording() {
         this.isRecording = false;
+        if (this.workletNode) {
+            this.workletNode.port.postMessage({ type: 'stop' });
+        }
         console.log('Stopped recording audio');
     }
 
@@ -200,18 +494,36 @@ class AudioProcessor {
     cleanup() {
         this.isRecording = false;
         
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceListChange);
+        }
+        
+        if (this.sourceNode) {
+            this.sourceNode.disconnect();
+            this.sourceNode = null;
+        }
+        
         if (this.scriptProcessor) {
             this.scriptProcessor.disconnect();
             this.scriptProcessor = null;
         }
         
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
+            this.workletNode.disconnect();
+            this.workletNode = null;
+        }
+        
         if (this.analyser) {
             this.analyser.disconnect();
             this.analyser = null;
         }
         
         if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
+            this.mediaStream.getTracks().forEach(track => {
+                track.removeEventListener('ended', this.handleInputEnded);
+                track.stop();
+            });
             this.mediaStream = null;
         }
         
@@ -222,30 +534,46 @@ class AudioProcessor {
         
         console.log('Audio resources cleaned up');
     }
+}
 
+/**
+ * File audio processor for handling uploaded audio files
+ */
+class FileAudioProcessor {
     /**
-     * Set callback for audio chunks
+     * Convert audio file to PCM data
      */
-    setAudioChunkCallback(callback) {
-        this.onAudioChunk = callback;
+    static async convertFileToPCM(file, channelMode = 'average', channelIndex = 0) {
+        const tracks = await this.decodeFile(file, channelMode, channelIndex);
+        return this.convertToPCM(tracks[0].samples);
     }
 
     /**
-     * Set callback for audio level updates
+     * Decode an audio file to 16kHz float32 tracks
+     * channelMode is 'average' (downmix), 'channel' (pick channelIndex) or
+     * 'separate' (one track per channel)
      */
-    setAudioLevelCallback(callback) {
-        this.onAudioLevel = callback;
+    static async decodeFile(file, channelMode = 'average', channelIndex = 0) {
+        const audioBuffer = await this.decodeAudioBuffer(file);
+        const channels = [];
+        for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+            channels.push(audioBuffer.getChannelData(i));
+        }
+        
+        const tracks = [];
+        for (const track of this.selectChannels(channels, channelMode, channelIndex)) {
+            tracks.push({
+                channel: track.channel,
+                samples: await this.resampleAudioAsync(track.samples, audioBuffer.sampleRate, 16000)
+            });
+        }
+        return tracks;
     }
-}
 
-/**
- * File audio processor for handling uploaded audio files
- */
-class FileAudioProcessor {
     /**
-     * Convert audio file to PCM data
+     * Decode an audio file with the browser's decoders
      */
-    static async convertFileToPCM(file) {
+    static async decodeAudioBuffer(file) {
         return new Promise((resolve, reject) => {
             const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             const reader = new FileReader();
@@ -254,18 +582,8 @@ class FileAudioProcessor {
                 try {
                     const arrayBuffer = event.target.result;
                     const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-                    
-                    // Get audio data from first channel
-                    const audioData = audioBuffer.getChannelData(0);
-                    
-                    // Resample to 16kHz if needed
-                    const resampledData = this.resampleAudio(audioData, audioBuffer.sampleRate, 16000);
-                    
-                    // Convert to PCM
-                    const pcmData = this.convertToPCM(resampledData);
-                    
                     audioContext.close();
-                    resolve(pcmData);
+                    resolve(audioBuffer);
                 } catch (error) {
                     audioContext.close();
                     reject(error);
@@ -278,23 +596,204 @@ class FileAudioProcessor {
     }
 
     /**
-     * Simple resampling (for production, use a proper resampling library)
+     * Turn decoded channels into the tracks to transcribe
+     * Returns [{ channel, samples }], where channel is null for a downmix
+     */
+    static selectChannels(channels, channelMode = 'average', channelIndex = 0) {
+        if (channels.length === 0) {
+            throw new Error('Audio file has no channels');
+        }
+        
+        switch (channelMode) {
+            case 'channel': {
+                const index = Math.min(Math.max(channelIndex, 0), channels.length - 1);
+                return [{ channel: index, samples: channels[index] }];
+            }
+            case 'separate':
+                return channels.map((samples, index) => ({ channel: index, samples: samples }));
+            case 'average':
+                return [{ channel: null, samples: this.downmixChannels(channels) }];
+            default:
+                throw new Error(`Unknown channel mode: ${channelMode}`);
+        }
+    }
+
+    /**
+     * Average all channels into a single mono channel
+     */
+    static downmixChannels(channels) {
+        if (channels.length === 1) {
+            return channels[0];
+        }
+        
+        const length = Math.min(...channels.map(channel => channel.length));
+        const mono = new Float32Array(length);
+        for (const channel of channels) {
+            for (let i = 0; i < length; i++) {
+                mono[i] += channel[i];
+            }
+        }
+        for (let i = 0; i < length; i++) {
+            mono[i] /= channels.length;
+        }
+        return mono;
+    }
+
+    /**
+     * Split samples into fixed-length segments that overlap by the given amount
+     * Each segment reports its position in seconds from the start of the file
      */
-    static resampleAudio(audioData, originalSampleRate, targetSampleRate) {
+    static splitIntoSegments(samples, sampleRate, segmentSeconds, overlapSeconds = 0) {
+        const segmentLength = Math.round(segmentSeconds * sampleRate);
+        const overlapLength = Math.round(overlapSeconds * sampleRate);
+        const step = segmentLength - overlapLength;
+        
+        if (segmentLength <= 0 || step <= 0) {
+            throw new Error('Segment length must be greater than the overlap');
+        }
+        
+        const segments = [];
+        for (let offset = 0; offset < samples.length; offset += step) {
+            const end = Math.min(offset + segmentLength, samples.length);
+            segments.push({
+                index: segments.length,
+                start: offset / sampleRate,
+                end: end / sampleRate,
+                samples: samples.subarray(offset, end)
+            });
+            
+            if (end === samples.length) break;
+        }
+        
+        return segments;
+    }
+
+    /**
+     * Band-limited resampling with a Blackman-windowed sinc filter
+     * Uses a precomputed polyphase filter bank when the rate ratio is rational
+     * with a small denominator (e.g. 44.1kHz or 48kHz to 16kHz)
+     */
+    static resampleAudio(audioData, originalSampleRate, targetSampleRate, zeroCrossings = 16) {
+        if (originalSampleRate === targetSampleRate) {
+            return audioData;
+        }
+        
+        const resampler = this.createResampler(audioData, originalSampleRate, targetSampleRate, zeroCrossings);
+        this.resampleRange(resampler, 0, resampler.output.length);
+        return resampler.output;
+    }
+
+    /**
+     * Same as resampleAudio, but works in blocks and yields to the event loop between
+     * them, so resampling a long file doesn't freeze the page
+     */
+    static async resampleAudioAsync(audioData, originalSampleRate, targetSampleRate, zeroCrossings = 16) {
         if (originalSampleRate === targetSampleRate) {
             return audioData;
         }
         
+        const resampler = this.createResampler(audioData, originalSampleRate, targetSampleRate, zeroCrossings);
+        const length = resampler.output.length;
+        for (let start = 0; start < length; start += FileAudioProcessor.RESAMPLE_BLOCK_SIZE) {
+            if (start > 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            this.resampleRange(resampler, start, Math.min(start + FileAudioProcessor.RESAMPLE_BLOCK_SIZE, length));
+        }
+        return resampler.output;
+    }
+
+    /**
+     * Work out the filter for a rate conversion and allocate its output
+     */
+    static createResampler(audioData, originalSampleRate, targetSampleRate, zeroCrossings) {
         const ratio = originalSampleRate / targetSampleRate;
-        const newLength = Math.round(audioData.length / ratio);
-        const resampledData = new Float32Array(newLength);
+        // Cut off just below the lower Nyquist frequency, in cycles per input sample
+        const cutoff = 0.95 * Math.min(1, 1 / ratio);
+        const halfTaps = Math.ceil(zeroCrossings / cutoff);
+        
+        const divisor = this.greatestCommonDivisor(originalSampleRate, targetSampleRate);
+        const up = targetSampleRate / divisor;
+        const down = originalSampleRate / divisor;
+        const usePolyphase = Number.isInteger(up) && Number.isInteger(down) && up <= 1024;
+        
+        return {
+            input: audioData,
+            output: new Float32Array(Math.round(audioData.length / ratio)),
+            ratio: ratio,
+            cutoff: cutoff,
+            halfTaps: halfTaps,
+            up: up,
+            down: down,
+            filterBank: usePolyphase ?
+                Array.from({ length: up }, (_, phase) => this.sincTaps(phase / up, halfTaps, cutoff)) :
+                null
+        };
+    }
+
+    /**
+     * Compute output samples start (inclusive) to end (exclusive) of a resampler
+     */
+    static resampleRange(resampler, start, end) {
+        const { input, output, ratio, cutoff, halfTaps, up, down, filterBank } = resampler;
+        
+        for (let i = start; i < end; i++) {
+            let base;
+            let taps;
+            if (filterBank) {
+                base = Math.floor(i * down / up);
+                taps = filterBank[(i * down) % up];
+            } else {
+                const position = i * ratio;
+                base = Math.floor(position);
+                taps = this.sincTaps(position - base, halfTaps, cutoff);
+            }
+            
+            // taps[k] weighs input sample base - halfTaps + 1 + k
+            const first = base - halfTaps + 1;
+            const kStart = Math.max(0, -first);
+            const kEnd = Math.min(taps.length, input.length - first);
+            let sum = 0;
+            for (let k = kStart; k < kEnd; k++) {
+                sum += input[first + k] * taps[k];
+            }
+            output[i] = sum;
+        }
+    }
+
+    /**
+     * Filter taps for an output sample positioned `fraction` past an input sample
+     * Normalized to unity gain at DC
+     */
+    static sincTaps(fraction, halfTaps, cutoff) {
+        const taps = new Float32Array(2 * halfTaps);
+        let total = 0;
         
-        for (let i = 0; i < newLength; i++) {
-            const index = Math.round(i * ratio);
-            resampledData[i] = audioData[index] || 0;
+        for (let k = 0; k < taps.length; k++) {
+            const x = k - halfTaps + 1 - fraction; // Distance from the output position
+            const t = x / halfTaps;
+            if (Math.abs(t) >= 1) continue;
+            
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+            const blackman = 0.42 + 0.5 * Math.cos(Math.PI * t) + 0.08 * Math.cos(2 * Math.PI * t);
+            taps[k] = sinc * blackman;
+            total += taps[k];
         }
         
-        return resampledData;
+        for (let k = 0; k < taps.length; k++) {
+            taps[k] /= total;
+        }
+        return taps;
+    }
+
+    /**
+     * Greatest common divisor of two sample rates
+     */
+    static greatestCommonDivisor(a, b) {
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
     }
 
     /**
@@ -314,6 +813,8 @@ class FileAudioProcessor {
     }
 }
 
+// Output samples resampled between yields to the event loop (about a second of 16kHz audio)
+FileAudioProcessor.RESAMPLE_BLOCK_SIZE = 16384;
+
 // Export for use in other modules
-window.AudioProcessor = AudioProcessor;
-window.FileAudioProcessor = FileAudioProcessor; 
\ No newline at end of file
+export { AudioProcessor, FileAudioProcessor };
@@ -4,16 +4,93 @@
  */
 
 class WhisperFlowConfig {
-    constructor() {
+    /**
+     * With persist false (e.g. for an embedded recorder) the configuration starts from
+     * options.config over the defaults, and URL parameters and saved profiles are ignored
+     */
+    constructor(options = {}) {
+        this.persist = options.persist !== false;
+        this.initialConfig = options.config || null;
+
         // Developer-configurable constants (highest priority for code changes)
         this.DEFAULT_SERVER_CONFIG = {
             hostname: 'localhost',
-            port: 8181,
+            port: 8181, // null = default port for the scheme
+            wsScheme: 'auto', // 'auto' follows the page protocol, or 'ws' / 'wss'
+            httpScheme: 'auto', // 'auto' follows the page protocol, or 'http' / 'https'
+            basePath: '', // Prefix for every endpoint, e.g. '/whisper' behind a reverse proxy
+            serverUrl: '', // Full base URL overriding scheme, hostname, port and base path
             wsPath: '/ws',
             httpPath: '/transcribe_pcm_chunk',
-            healthPath: '/health'
+            healthPath: '/health',
+            authMode: 'none', // 'none', 'bearer' or 'apiKey'
+            authHeader: 'X-API-Key', // Header carrying the API key on HTTP requests
+            wsAuthMethod: 'subprotocol', // How the socket sends the token: 'subprotocol' or 'query'
+            wsAuthParam: 'token', // Query parameter name when wsAuthMethod is 'query'
+            authToken: '',
+            authStorage: 'local', // 'local' saves the token with the profile, 'session' keeps it for this tab only
+            model: 'tiny.en.pt',
+            language: 'auto', // Spoken language code sent to the server, or 'auto' to let it detect the language
+            segmentSeconds: 30, // Length of each uploaded file segment
+            segmentOverlapSeconds: 1, // Audio shared between neighbouring segments
+            queueConcurrency: 2, // Queued files transcribed at once
+            channelMode: 'average', // 'average', 'channel' or 'separate' for multichannel files
+            channelIndex: 0, // Channel used when channelMode is 'channel'
+            vadEnabled: false, // Only stream chunks the voice activity detector judges to be speech
+            vadThreshold: 0.01, // RMS level (0-1) treated as speech
+            vadHangoverMs: 400, // Audio kept after speech ends
+            vadPreRollMs: 300, // Audio sent before speech starts
+            autoStopSilenceSeconds: 0, // Stop recording after this much silence (0 = never)
+            outageBufferSeconds: 60, // Audio kept while disconnected and sent on reconnect
+            keepRecording: false, // Keep a local copy of recordings for playback and WAV download
+            healthCheckSeconds: 15, // Seconds between background health checks (0 = off)
+            reconnectMaxAttempts: 5, // Reconnect attempts before giving up (0 = unlimited)
+            heartbeatSeconds: 15, // Interval for detecting half-open sockets (0 = off)
+            heartbeatPing: false, // Send JSON pings; only for servers that answer them with pongs
+            inputDeviceId: '', // Microphone device id ('' = browser default)
+            pushToTalk: false, // Record only while the push-to-talk key is held
+            shortcuts: { // Key combinations for keyboard shortcuts, by action
+                toggleRecording: 'R',
+                startRecording: 'Shift+R',
+                stopRecording: 'Escape',
+                pushToTalk: 'Space',
+                clearTranscript: 'Shift+X',
+                copyTranscript: 'C',
+                openSettings: 'S',
+                showHelp: '?'
+            }
         };
 
+        // Whisper models offered in the settings panel
+        this.AVAILABLE_MODELS = [
+            { name: 'tiny.en.pt', label: 'Tiny (English)' },
+            { name: 'tiny.pt', label: 'Tiny (multilingual)' },
+            { name: 'base.en.pt', label: 'Base (English)' },
+            { name: 'base.pt', label: 'Base (multilingual)' },
+            { name: 'small.en.pt', label: 'Small (English)' },
+            { name: 'small.pt', label: 'Small (multilingual)' },
+            { name: 'medium.en.pt', label: 'Medium (English)' },
+            { name: 'medium.pt', label: 'Medium (multilingual)' },
+            { name: 'large-v2.pt', label: 'Large v2 (multilingual)' },
+            { name: 'large-v3.pt', label: 'Large v3 (multilingual)' }
+        ];
+
+        // Languages offered in the settings panel; any other language code can be set from the URL
+        this.AVAILABLE_LANGUAGES = [
+            'auto', 'en', 'de', 'es', 'fr', 'it', 'pt', 'nl', 'pl', 'sv', 'da', 'no', 'fi',
+            'cs', 'ru', 'uk', 'tr', 'el', 'ar', 'he', 'hi', 'zh', 'ja', 'ko'
+        ];
+
+        // Named server profiles, persisted together under one localStorage key
+        this.STORAGE_KEY = 'whisperFlowProfiles';
+        this.LEGACY_STORAGE_KEY = 'whisperFlowConfig'; // Single config saved by earlier versions
+        this.DEFAULT_PROFILE_NAME = 'Default';
+        this.LOCAL_FIELDS = ['inputDeviceId', 'pushToTalk', 'shortcuts']; // Device and keyboard settings; kept across profile switches and left out of exports
+        this.SECRET_FIELDS = ['authToken']; // Never exported or saved with session history
+        this.SESSION_TOKEN_KEY = 'whisperFlowSessionTokens'; // Tokens of profiles with authStorage 'session'
+        this.profiles = new Map(); // Profile name -> configuration; a Map so names can't clash with object members
+        this.activeProfile = this.DEFAULT_PROFILE_NAME;
+
         // Current active configuration
         this.currentConfig = null;
         
@@ -31,6 +108,14 @@ class WhisperFlowConfig {
         let config = null;
         let source = null;
 
+        if (!this.persist) {
+            this.currentConfig = { ...this.DEFAULT_SERVER_CONFIG, ...this.initialConfig };
+            this.configSource = 'instance';
+            return;
+        }
+
+        this.loadProfiles();
+
         // 1. Check URL parameters first
         const urlConfig = this.getConfigFromURL();
         if (urlConfig) {
@@ -56,79 +141,507 @@ class WhisperFlowConfig {
         this.currentConfig = config;
         this.configSource = source;
 
-        console.log(`Configuration initialized from ${source}:`, config);
+        console.log(`Configuration initialized from ${source} (profile: ${this.activeProfile}):`, this.withoutSecrets(config));
     }
 
     /**
      * Get configuration from URL parameters
+     * ?profile=name selects a saved profile; the other parameters override it, or the
+     * active profile when none is named, so its server and token are kept
      */
     getConfigFromURL() {
         const urlParams = new URLSearchParams(window.location.search);
+        const profile = urlParams.get('profile');
         const host = urlParams.get('host') || urlParams.get('hostname');
         const port = urlParams.get('port');
+        const model = urlParams.get('model');
+        const language = urlParams.get('language');
+        const scheme = urlParams.get('scheme');
+        const serverUrl = urlParams.get('url');
+        const basePath = urlParams.get('basePath');
+        const paths = ['wsPath', 'httpPath', 'healthPath'].filter(name => urlParams.get(name));
+
+        let config = null;
+
+        if (profile) {
+            if (this.profiles.has(profile)) {
+                // Only stored as the active profile once something is saved
+                this.activeProfile = profile;
+                config = { ...this.profiles.get(profile) };
+            } else {
+                console.warn(`Profile "${profile}" from URL not found`);
+            }
+        }
 
-        if (host || port) {
-            const config = { ...this.DEFAULT_SERVER_CONFIG };
+        if (host || port !== null || model || language || scheme || serverUrl || basePath !== null || paths.length > 0) {
+            config = config || this.getConfigFromLocalStorage() || { ...this.DEFAULT_SERVER_CONFIG };
             
             if (host) {
                 config.hostname = host;
             }
             
-            if (port) {
+            if (port === '') {
+                config.port = null;
+            } else if (port) {
                 const portNum = parseInt(port, 10);
                 if (!isNaN(portNum) && portNum > 0 && portNum <= 65535) {
                     config.port = portNum;
                 }
             }
 
-            return config;
+            if (model && this.isValidModelName(model)) {
+                config.model = model;
+            }
+
+            if (language && this.isValidLanguage(language)) {
+                config.language = language;
+            }
+
+            // One scheme parameter sets both; "https" and "wss" both mean a secure connection
+            if (['http', 'https', 'ws', 'wss'].includes(scheme)) {
+                const secure = scheme === 'https' || scheme === 'wss';
+                config.wsScheme = secure ? 'wss' : 'ws';
+                config.httpScheme = secure ? 'https' : 'http';
+            }
+
+            if (serverUrl && this.isValidServerUrl(serverUrl)) {
+                config.serverUrl = serverUrl;
+            }
+
+            if (basePath !== null && (basePath === '' || this.isValidPath(basePath))) {
+                config.basePath = basePath;
+            }
+
+            paths.forEach(name => {
+                if (this.isValidPath(urlParams.get(name))) {
+                    config[name] = urlParams.get(name);
+                }
+            });
         }
 
-        return null;
+        return config;
     }
 
     /**
-     * Get configuration from localStorage
+     * Get the active profile's configuration from localStorage
      */
     getConfigFromLocalStorage() {
+        const config = this.profiles.get(this.activeProfile);
+        return config ? { ...config } : null;
+    }
+
+    /**
+     * Save configuration to the active profile in localStorage
+     */
+    saveConfigToLocalStorage(config) {
+        this.profiles.set(this.activeProfile, { ...config });
+        return this.saveProfiles();
+    }
+
+    /**
+     * Load saved profiles, migrating a config saved by earlier versions
+     */
+    loadProfiles() {
+        this.profiles = new Map();
+
         try {
-            const stored = localStorage.getItem('whisperFlowConfig');
+            const stored = localStorage.getItem(this.STORAGE_KEY);
             if (stored) {
-                const config = JSON.parse(stored);
-                // Validate the stored config
-                if (this.validateConfig(config)) {
-                    return config;
+                const data = JSON.parse(stored);
+                Object.entries(data.profiles || {}).forEach(([name, profile]) => {
+                    const config = this.normalizeProfileConfig(profile);
+                    if (config) {
+                        this.profiles.set(name, config);
+                    } else {
+                        console.warn(`Ignoring invalid profile "${name}"`);
+                    }
+                });
+                this.activeProfile = data.activeProfile;
+            } else {
+                const legacy = localStorage.getItem(this.LEGACY_STORAGE_KEY);
+                const config = legacy ? this.normalizeProfileConfig(JSON.parse(legacy)) : null;
+                if (config) {
+                    this.profiles.set(this.DEFAULT_PROFILE_NAME, config);
+                    this.activeProfile = this.DEFAULT_PROFILE_NAME;
+                    if (this.saveProfiles()) {
+                        localStorage.removeItem(this.LEGACY_STORAGE_KEY);
+                    }
                 }
             }
         } catch (error) {
-            console.warn('Failed to load config from localStorage:', error);
+            console.warn('Failed to load profiles from localStorage:', error);
+        }
+
+        this.loadSessionTokens();
+
+        if (!this.profiles.has(this.activeProfile)) {
+            this.activeProfile = this.listProfiles()[0] || this.DEFAULT_PROFILE_NAME;
         }
-        return null;
     }
 
     /**
-     * Save configuration to localStorage
+     * Persist all profiles and the active profile name
      */
-    saveConfigToLocalStorage(config) {
+    saveProfiles() {
+        if (!this.persist) return true;
+
+        // Tokens kept for this tab only go to sessionStorage instead
+        const profiles = [];
+        const sessionTokens = [];
+        this.profiles.forEach((profile, name) => {
+            if (profile.authStorage === 'session') {
+                if (profile.authToken) {
+                    sessionTokens.push([name, profile.authToken]);
+                }
+                profiles.push([name, { ...profile, authToken: '' }]);
+            } else {
+                profiles.push([name, profile]);
+            }
+        });
+
         try {
-            localStorage.setItem('whisperFlowConfig', JSON.stringify(config));
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                activeProfile: this.activeProfile,
+                profiles: Object.fromEntries(profiles)
+            }));
+            sessionStorage.setItem(this.SESSION_TOKEN_KEY, JSON.stringify(Object.fromEntries(sessionTokens)));
             return true;
         } catch (error) {
-            console.error('Failed to save config to localStorage:', error);
+            console.error('Failed to save profiles to localStorage:', error);
             return false;
         }
     }
 
+    /**
+     * Restore tokens of session-only profiles saved earlier in this tab
+     */
+    loadSessionTokens() {
+        try {
+            const tokens = JSON.parse(sessionStorage.getItem(this.SESSION_TOKEN_KEY) || '{}');
+            Object.entries(tokens).forEach(([name, token]) => {
+                const profile = this.profiles.get(name);
+                if (profile && profile.authStorage === 'session' && typeof token === 'string') {
+                    profile.authToken = token;
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load session tokens:', error);
+        }
+    }
+
+    /**
+     * Copy a configuration without credentials, for sharing or history
+     */
+    withoutSecrets(config) {
+        const copy = { ...config };
+        this.SECRET_FIELDS.forEach(field => delete copy[field]);
+        return copy;
+    }
+
+    /**
+     * Fill in fields added since a profile was saved, returning null if it is invalid
+     */
+    normalizeProfileConfig(profile) {
+        if (!profile || typeof profile !== 'object') {
+            return null;
+        }
+
+        const config = { ...this.DEFAULT_SERVER_CONFIG, ...profile };
+        config.shortcuts = { ...this.DEFAULT_SERVER_CONFIG.shortcuts, ...profile.shortcuts };
+        return this.validateConfig(config) ? config : null;
+    }
+
+    /**
+     * Validate and tidy a profile name
+     */
+    normalizeProfileName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > 50) {
+            throw new Error('Profile name must be between 1 and 50 characters');
+        }
+        return trimmed;
+    }
+
+    /**
+     * List profile names in alphabetical order
+     */
+    listProfiles() {
+        return Array.from(this.profiles.keys()).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Get the name of the active profile
+     */
+    getActiveProfileName() {
+        return this.activeProfile;
+    }
+
+    /**
+     * Create a profile (from the current configuration by default) and make it active
+     */
+    createProfile(name, config = this.currentConfig) {
+        const profileName = this.normalizeProfileName(name);
+        if (this.profiles.has(profileName)) {
+            throw new Error(`Profile "${profileName}" already exists`);
+        }
+        if (!this.validateConfig(config)) {
+            throw new Error('Invalid configuration');
+        }
+
+        this.profiles.set(profileName, { ...config });
+        this.switchProfile(profileName);
+        return profileName;
+    }
+
+    /**
+     * Rename a profile
+     */
+    renameProfile(oldName, newName) {
+        const profileName = this.normalizeProfileName(newName);
+        if (!this.profiles.has(oldName)) {
+            throw new Error(`Profile "${oldName}" not found`);
+        }
+        if (profileName === oldName) {
+            return profileName;
+        }
+        if (this.profiles.has(profileName)) {
+            throw new Error(`Profile "${profileName}" already exists`);
+        }
+
+        this.profiles.set(profileName, this.profiles.get(oldName));
+        this.profiles.delete(oldName);
+        if (this.activeProfile === oldName) {
+            this.activeProfile = profileName;
+        }
+
+        this.saveProfiles();
+        return profileName;
+    }
+
+    /**
+     * Delete a profile; deleting the active profile switches to another one
+     */
+    deleteProfile(name) {
+        if (!this.profiles.has(name)) {
+            throw new Error(`Profile "${name}" not found`);
+        }
+        if (this.listProfiles().length === 1) {
+            throw new Error('Cannot delete the only profile');
+        }
+
+        this.profiles.delete(name);
+        if (this.activeProfile === name) {
+            this.switchProfile(this.listProfiles()[0]);
+        } else {
+            this.saveProfiles();
+        }
+    }
+
+    /**
+     * Make a profile active and load its configuration
+     */
+    switchProfile(name) {
+        if (!this.profiles.has(name)) {
+            throw new Error(`Profile "${name}" not found`);
+        }
+
+        const localFields = this.getLocalFields(this.currentConfig || this.DEFAULT_SERVER_CONFIG);
+        this.activeProfile = name;
+        this.currentConfig = { ...this.profiles.get(name), ...localFields };
+        this.configSource = 'localStorage';
+        this.saveProfiles();
+
+        console.log(`Switched to profile ${name}:`, this.withoutSecrets(this.currentConfig));
+    }
+
+    /**
+     * Pick the machine-specific fields out of a configuration
+     */
+    getLocalFields(config) {
+        const fields = {};
+        this.LOCAL_FIELDS.forEach(field => {
+            fields[field] = config[field];
+        });
+        return fields;
+    }
+
+    /**
+     * Export profiles as a JSON document for sharing
+     */
+    exportProfiles() {
+        const profiles = this.listProfiles().map(name => {
+            const profile = this.withoutSecrets(this.profiles.get(name));
+            this.LOCAL_FIELDS.forEach(field => delete profile[field]);
+            return [name, profile];
+        });
+
+        return JSON.stringify({
+            format: 'whisper-flow-profiles',
+            version: 1,
+            profiles: Object.fromEntries(profiles)
+        }, null, 2);
+    }
+
+    /**
+     * Import profiles from an exported JSON document
+     * Profiles with the same name are replaced; invalid ones are skipped
+     */
+    importProfiles(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Profile file is not valid JSON');
+        }
+
+        if (!data || data.format !== 'whisper-flow-profiles' ||
+            !data.profiles || typeof data.profiles !== 'object' || Array.isArray(data.profiles)) {
+            throw new Error('Not a Whisper Flow profile file');
+        }
+
+        const localFields = this.getLocalFields(this.currentConfig || this.DEFAULT_SERVER_CONFIG);
+        const imported = [];
+        const skipped = [];
+
+        Object.entries(data.profiles).forEach(([name, profile]) => {
+            let profileName;
+            try {
+                profileName = this.normalizeProfileName(name);
+            } catch (error) {
+                skipped.push(name);
+                return;
+            }
+
+            // Exports carry no token, so keep the one already saved for this profile
+            const existing = this.profiles.get(profileName);
+            const secrets = existing && profile ? { authToken: profile.authToken || existing.authToken } : {};
+            const config = this.normalizeProfileConfig({ ...profile, ...secrets, ...localFields });
+            if (config) {
+                this.profiles.set(profileName, config);
+                imported.push(profileName);
+            } else {
+                skipped.push(profileName);
+            }
+        });
+
+        this.saveProfiles();
+        return { imported: imported, skipped: skipped };
+    }
+
     /**
      * Validate configuration object
      */
     validateConfig(config) {
         return config &&
-               typeof config.hostname === 'string' && config.hostname.length > 0 &&
-               typeof config.port === 'number' && config.port > 0 && config.port <= 65535 &&
-               typeof config.wsPath === 'string' && config.wsPath.length > 0 &&
-               typeof config.httpPath === 'string' && config.httpPath.length > 0 &&
-               typeof config.healthPath === 'string' && config.healthPath.length > 0;
+               typeof config.serverUrl === 'string' && (config.serverUrl === '' || this.isValidServerUrl(config.serverUrl)) &&
+               this.isValidHostname(config.hostname, config.serverUrl !== '') &&
+               (config.port === null || (Number.isInteger(config.port) && config.port > 0 && config.port <= 65535)) &&
+               ['auto', 'ws', 'wss'].includes(config.wsScheme) &&
+               ['auto', 'http', 'https'].includes(config.httpScheme) &&
+               (config.basePath === '' || this.isValidPath(config.basePath)) &&
+               this.isValidPath(config.wsPath) &&
+               this.isValidPath(config.httpPath) &&
+               this.isValidPath(config.healthPath) &&
+               ['none', 'bearer', 'apiKey'].includes(config.authMode) &&
+               this.isValidHeaderName(config.authHeader) &&
+               ['subprotocol', 'query'].includes(config.wsAuthMethod) &&
+               typeof config.wsAuthParam === 'string' && config.wsAuthParam.length > 0 &&
+               typeof config.authToken === 'string' &&
+               (config.authMode === 'none' || config.wsAuthMethod !== 'subprotocol' || config.authToken === '' ||
+                   this.isValidSubprotocolToken(config.authToken)) &&
+               ['local', 'session'].includes(config.authStorage) &&
+               this.isValidModelName(config.model) &&
+               this.isValidLanguage(config.language) &&
+               typeof config.segmentSeconds === 'number' && config.segmentSeconds >= 5 && config.segmentSeconds <= 600 &&
+               typeof config.segmentOverlapSeconds === 'number' && config.segmentOverlapSeconds >= 0 &&
+               config.segmentOverlapSeconds < config.segmentSeconds &&
+               Number.isInteger(config.queueConcurrency) && config.queueConcurrency >= 1 && config.queueConcurrency <= 8 &&
+               ['average', 'channel', 'separate'].includes(config.channelMode) &&
+               Number.isInteger(config.channelIndex) && config.channelIndex >= 0 &&
+               typeof config.vadEnabled === 'boolean' &&
+               typeof config.vadThreshold === 'number' && config.vadThreshold > 0 && config.vadThreshold < 1 &&
+               typeof config.vadHangoverMs === 'number' && config.vadHangoverMs >= 0 &&
+               typeof config.vadPreRollMs === 'number' && config.vadPreRollMs >= 0 &&
+               typeof config.autoStopSilenceSeconds === 'number' && config.autoStopSilenceSeconds >= 0 &&
+               typeof config.outageBufferSeconds === 'number' && config.outageBufferSeconds >= 0 &&
+               config.outageBufferSeconds <= 600 &&
+               typeof config.healthCheckSeconds === 'number' &&
+               (config.healthCheckSeconds === 0 || (config.healthCheckSeconds >= 2 && config.healthCheckSeconds <= 3600)) &&
+               Number.isInteger(config.reconnectMaxAttempts) && config.reconnectMaxAttempts >= 0 &&
+               config.reconnectMaxAttempts <= 1000 &&
+               typeof config.heartbeatSeconds === 'number' &&
+               (config.heartbeatSeconds === 0 || (config.heartbeatSeconds >= 5 && config.heartbeatSeconds <= 300)) &&
+               typeof config.heartbeatPing === 'boolean' &&
+               typeof config.keepRecording === 'boolean' &&
+               typeof config.inputDeviceId === 'string' &&
+               typeof config.pushToTalk === 'boolean' &&
+               this.isValidShortcuts(config.shortcuts);
+    }
+
+    /**
+     * Validate keyboard shortcuts: one non-empty combination for every action
+     */
+    isValidShortcuts(shortcuts) {
+        return Boolean(shortcuts) && typeof shortcuts === 'object' &&
+               Object.keys(this.DEFAULT_SERVER_CONFIG.shortcuts).every(action =>
+                   typeof shortcuts[action] === 'string' && shortcuts[action].length > 0 && shortcuts[action].length <= 40
+               );
+    }
+
+    /**
+     * Validate a hostname or IP address; may be empty when a full server URL is set
+     */
+    isValidHostname(hostname, optional = false) {
+        return typeof hostname === 'string' &&
+               (hostname.length > 0 ? /^[^\s/?#@]+$/.test(hostname) : optional);
+    }
+
+    /**
+     * Validate an endpoint or base path (e.g. '/whisper/ws')
+     */
+    isValidPath(path) {
+        return typeof path === 'string' && /^\/[^\s?#]*$/.test(path);
+    }
+
+    /**
+     * Validate a full server URL (http, https, ws or wss, without query or fragment)
+     */
+    isValidServerUrl(value) {
+        try {
+            const url = new URL(value);
+            return ['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol) && !url.search && !url.hash;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Validate an HTTP header name
+     */
+    isValidHeaderName(name) {
+        return typeof name === 'string' && /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(name);
+    }
+
+    /**
+     * Check that a token can be sent as a WebSocket subprotocol
+     * Subprotocols only allow HTTP token characters, so e.g. standard base64 cannot be used
+     */
+    isValidSubprotocolToken(token) {
+        return /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/.test(token);
+    }
+
+    /**
+     * Validate a model name (e.g. 'base.en.pt')
+     */
+    isValidModelName(model) {
+        return typeof model === 'string' && /^[\w.\-]+$/.test(model);
+    }
+
+    /**
+     * Validate a transcription language: 'auto' or a language code such as 'de' or 'pt-BR'
+     */
+    isValidLanguage(language) {
+        return language === 'auto' || (typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language));
     }
 
     /**
@@ -161,31 +674,126 @@ class WhisperFlowConfig {
             this.saveConfigToLocalStorage(newConfig);
         }
 
-        console.log(`Configuration updated from ${source}:`, newConfig);
+        console.log(`Configuration updated from ${source}:`, this.withoutSecrets(newConfig));
     }
 
     /**
-     * Reset to code constants
+     * Reset the active profile to code constants
      */
     resetToCodeConstants() {
-        this.updateConfig({ ...this.DEFAULT_SERVER_CONFIG }, 'code');
-        localStorage.removeItem('whisperFlowConfig');
+        const config = { ...this.DEFAULT_SERVER_CONFIG, ...this.getLocalFields(this.currentConfig) };
+        this.updateConfig(config, 'code');
+        this.saveConfigToLocalStorage(config);
+    }
+
+    /**
+     * Work out the scheme, host and base path for WebSocket ('ws') or HTTP ('http') requests
+     * A full server URL wins; its scheme is mapped to the matching secure or plain one
+     */
+    resolveEndpoint(kind, config = this.currentConfig) {
+        if (config.serverUrl) {
+            const url = new URL(config.serverUrl);
+            const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+            return {
+                scheme: kind === 'ws' ? (secure ? 'wss' : 'ws') : (secure ? 'https' : 'http'),
+                host: url.host,
+                basePath: url.pathname
+            };
+        }
+
+        let scheme = kind === 'ws' ? config.wsScheme : config.httpScheme;
+        if (scheme === 'auto') {
+            const secure = window.location.protocol === 'https:';
+            scheme = kind === 'ws' ? (secure ? 'wss' : 'ws') : (secure ? 'https' : 'http');
+        }
+
+        // IPv6 addresses need brackets in URLs
+        const hostname = config.hostname.includes(':') && !config.hostname.startsWith('[') ?
+            `[${config.hostname}]` : config.hostname;
+
+        return {
+            scheme: scheme,
+            host: config.port ? `${hostname}:${config.port}` : hostname,
+            basePath: config.basePath
+        };
+    }
+
+    /**
+     * Build a WebSocket ('ws') or HTTP ('http') URL for an endpoint path
+     */
+    buildURL(kind, path, config = this.currentConfig) {
+        const endpoint = this.resolveEndpoint(kind, config);
+        const basePath = endpoint.basePath.replace(/\/+$/, '');
+        return `${endpoint.scheme}://${endpoint.host}${basePath}${path}`;
     }
 
     /**
      * Build WebSocket URL from current config
+     * Pass includeToken = false for a URL that is safe to log or display
      */
-    getWebSocketURL() {
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        return `${protocol}//${this.currentConfig.hostname}:${this.currentConfig.port}${this.currentConfig.wsPath}`;
+    getWebSocketURL(includeToken = true) {
+        const config = this.currentConfig;
+        const model = encodeURIComponent(config.model);
+        // Servers that load a model per connection read it from the query string
+        let url = `${this.buildURL('ws', config.wsPath)}?model_name=${model}`;
+        if (config.language !== 'auto') {
+            url += `&language=${encodeURIComponent(config.language)}`;
+        }
+
+        if (this.hasAuthToken() && config.wsAuthMethod === 'query') {
+            const token = includeToken ? encodeURIComponent(config.authToken) : '***';
+            url += `&${encodeURIComponent(config.wsAuthParam)}=${token}`;
+        }
+        return url;
+    }
+
+    /**
+     * Whether requests should carry credentials
+     */
+    hasAuthToken() {
+        return this.currentConfig.authMode !== 'none' && this.currentConfig.authToken !== '';
+    }
+
+    /**
+     * Headers that authenticate HTTP requests
+     */
+    getAuthHeaders() {
+        if (!this.hasAuthToken()) {
+            return {};
+        }
+
+        const config = this.currentConfig;
+        if (config.authMode === 'bearer') {
+            return { Authorization: `Bearer ${config.authToken}` };
+        }
+        return { [config.authHeader]: config.authToken };
+    }
+
+    /**
+     * WebSocket subprotocols that authenticate the socket: the auth mode followed by the token
+     * Servers must echo one of them back in Sec-WebSocket-Protocol
+     */
+    getWebSocketProtocols() {
+        if (!this.hasAuthToken() || this.currentConfig.wsAuthMethod !== 'subprotocol') {
+            return [];
+        }
+        return [this.currentConfig.authMode === 'bearer' ? 'bearer' : 'api-key', this.currentConfig.authToken];
     }
 
     /**
      * Build HTTP URL from current config
      */
     getHTTPURL(path) {
-        const protocol = window.location.protocol === 'https:' ? 'https:' : 'http:';
-        return `${protocol}//${this.currentConfig.hostname}:${this.currentConfig.port}${path}`;
+        return this.buildURL('http', path);
+    }
+
+    /**
+     * Short server description for messages, e.g. 'example.com/whisper' or 'localhost:8181'
+     */
+    getServerLabel(config = this.currentConfig) {
+        // Sessions saved by earlier versions lack the newer endpoint fields
+        const endpoint = this.resolveEndpoint('http', { ...this.DEFAULT_SERVER_CONFIG, ...config });
+        return `${endpoint.host}${endpoint.basePath.replace(/\/+$/, '')}`;
     }
 
     /**
@@ -209,12 +817,15 @@ class WhisperFlowConfig {
         return {
             hostname: this.currentConfig.hostname,
             port: this.currentConfig.port,
+            model: this.currentConfig.model,
+            server: this.getServerLabel(),
+            profile: this.activeProfile,
             source: this.configSource,
-            wsUrl: this.getWebSocketURL(),
+            wsUrl: this.getWebSocketURL(false),
             httpUrl: this.getHTTPURL('')
         };
     }
 }
 
-// Create global configuration instance
-window.WhisperFlowConfig = new WhisperFlowConfig(); 
\ No newline at end of file
+// Export for use in other modules
+export { WhisperFlowConfig };
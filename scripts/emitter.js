@@ -0,0 +1,16 @@
+/**
+ * Event emitter base class for Whisper Flow frontend
+ * An EventTarget that dispatches CustomEvents with their payload in event.detail
+ */
+
+class Emitter extends EventTarget {
+    /**
+     * Dispatch an event to every listener
+     */
+    emit(type, detail = null) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail }));
+    }
+}
+
+// Export for use in other modules
+export { Emitter };
@@ -0,0 +1,154 @@
+/**
+ * File streaming for Whisper Flow frontend
+ * Replays a decoded audio file through the live WebSocket stream, paced like microphone input
+ */
+
+import { Emitter } from './emitter.js';
+import { FileAudioProcessor } from './audio.js';
+
+/**
+ * Events (CustomEvent, payload in event.detail):
+ *   progress - { position, duration }, in seconds of audio sent
+ */
+class FileStreamer extends Emitter {
+    constructor(websocket, options = {}) {
+        super();
+        this.websocket = websocket;
+        this.sampleRate = options.sampleRate || 16000;
+        this.chunkSize = options.chunkSize || 1024; // Samples per chunk, as sent by AudioProcessor
+        this.maxBufferedBytes = options.maxBufferedBytes || 65536; // Socket backlog at which sending waits
+        this.isStreaming = false;
+        this.pcm = null; // Int16Array of the file being streamed
+        this.sentSamples = 0;
+        this.timer = null;
+        this.run = 0; // Incremented on every start and stop, so a stopped run doesn't continue
+        this.finish = null; // Settles the promise returned by start()
+    }
+
+    /**
+     * Decode a file and stream it, resolving with true when the whole file was sent
+     * or false when stopped early. Speed 1 is real time; higher values stream faster
+     */
+    async start(file, options = {}) {
+        this.stop();
+        const run = ++this.run;
+        const speed = options.speed || 1;
+        this.isStreaming = true;
+        this.sentSamples = 0;
+        this.pcm = null;
+
+        let tracks;
+        try {
+            tracks = await FileAudioProcessor.decodeFile(file, options.channelMode, options.channelIndex);
+        } catch (error) {
+            if (run === this.run) {
+                this.isStreaming = false;
+            }
+            throw error;
+        }
+        if (run !== this.run) return false;
+
+        this.pcm = new Int16Array(FileAudioProcessor.convertToPCM(tracks[0].samples));
+        return new Promise((resolve, reject) => {
+            this.finish = { resolve: resolve, reject: reject };
+            this.schedule(speed, performance.now());
+        });
+    }
+
+    /**
+     * Send every chunk that is due, then wait for the next one
+     * Chunks are timed from the start of the run, so timer delays don't accumulate.
+     * Sending holds off while the socket is reconnecting or its send buffer is full,
+     * and pacing restarts from where it resumes; the run fails if the connection is lost for good
+     */
+    schedule(speed, startedAt) {
+        const chunkMs = this.chunkSize / this.sampleRate * 1000 / speed;
+
+        if (['idle', 'failed'].includes(this.websocket.state)) {
+            this.end(new Error('Connection to the server was lost'));
+            return;
+        }
+        if (this.isHeldBack()) {
+            this.timer = setTimeout(() => this.schedule(speed, null), FileStreamer.HOLD_RETRY_MS);
+            return;
+        }
+        if (startedAt === null) {
+            startedAt = performance.now() - (this.sentSamples / this.chunkSize) * chunkMs;
+        }
+
+        const due = Math.floor((performance.now() - startedAt) / chunkMs) + 1;
+        const sentBefore = this.sentSamples;
+
+        while (this.sentSamples < this.pcm.length && this.sentSamples / this.chunkSize < due && !this.isHeldBack()) {
+            const end = Math.min(this.sentSamples + this.chunkSize, this.pcm.length);
+            // Kept in the outage buffer if the socket drops between checks
+            this.websocket.queueAudioChunk(this.pcm.slice(this.sentSamples, end).buffer);
+            this.sentSamples = end;
+        }
+        if (this.sentSamples > sentBefore) {
+            this.emit('progress', { position: this.getPosition(), duration: this.getDuration() });
+        }
+
+        if (this.sentSamples >= this.pcm.length) {
+            this.end(null, true);
+            return;
+        }
+        const nextAt = startedAt + (this.sentSamples / this.chunkSize) * chunkMs;
+        this.timer = setTimeout(() => this.schedule(speed, startedAt), Math.max(0, nextAt - performance.now()));
+    }
+
+    /**
+     * Whether sending has to wait: the socket is reconnecting, or the server
+     * isn't keeping up and the browser's send buffer has filled
+     */
+    isHeldBack() {
+        return !this.websocket.isConnected || this.websocket.getBufferedAmount() > this.maxBufferedBytes;
+    }
+
+    /**
+     * Stop streaming; the promise from start() resolves with false
+     */
+    stop() {
+        this.run++;
+        this.end(null, false);
+    }
+
+    /**
+     * Finish the current run
+     */
+    end(error, completed = false) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.isStreaming = false;
+
+        const finish = this.finish;
+        this.finish = null;
+        if (!finish) return;
+
+        if (error) {
+            finish.reject(error);
+        } else {
+            finish.resolve(completed);
+        }
+    }
+
+    /**
+     * Get the seconds of audio sent so far
+     */
+    getPosition() {
+        return this.sentSamples / this.sampleRate;
+    }
+
+    /**
+     * Get the length of the file being streamed in seconds, or 0 while it is decoded
+     */
+    getDuration() {
+        return this.pcm ? this.pcm.length / this.sampleRate : 0;
+    }
+}
+
+// How often a held-back stream checks whether it can send again, in milliseconds
+FileStreamer.HOLD_RETRY_MS = 100;
+
+// Export for use in other modules
+export { FileStreamer };
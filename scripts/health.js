@@ -0,0 +1,165 @@
+/**
+ * Server health monitoring for Whisper Flow frontend
+ * Polls the health endpoint in the background and keeps a short latency history
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Events (CustomEvent, payload in event.detail):
+ *   result - { time, ok, reachable, latencyMs, info, error }, after each completed check
+ */
+class HealthMonitor extends Emitter {
+    constructor(websocket, options = {}) {
+        super();
+        this.websocket = websocket;
+        this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : 15000; // 0 disables polling
+        this.offlineIntervalMs = options.offlineIntervalMs || 5000; // Faster polling while the server is down
+        this.historySize = options.historySize || 20;
+        this.timer = null;
+        this.isChecking = false;
+        this.history = []; // Recent checks, oldest first: { time, ok, latencyMs }
+        this.lastResult = null;
+    }
+
+    /**
+     * Start polling, checking immediately
+     */
+    start() {
+        this.stop();
+        if (this.intervalMs > 0) {
+            this.check();
+        }
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Change the polling interval (0 disables polling) and restart
+     */
+    setInterval(intervalMs) {
+        this.intervalMs = intervalMs;
+        this.start();
+    }
+
+    /**
+     * Forget results from a previous server
+     */
+    reset() {
+        this.history = [];
+        this.lastResult = null;
+    }
+
+    /**
+     * Run one health check and schedule the next one
+     */
+    async check() {
+        if (this.isChecking) return this.lastResult;
+
+        this.isChecking = true;
+        clearTimeout(this.timer);
+
+        const startTime = performance.now();
+        const result = {
+            time: Date.now(),
+            ok: false,
+            reachable: false, // The server answered, even if with an error status
+            latencyMs: null,
+            info: null,
+            error: null
+        };
+
+        try {
+            // Give up before the next check would be due
+            const payload = await this.websocket.checkHealth(this.intervalMs > 0 ? this.intervalMs : undefined);
+            result.ok = true;
+            result.reachable = true;
+            result.info = HealthMonitor.parsePayload(payload);
+        } catch (error) {
+            result.error = error.message;
+            result.reachable = error.status !== undefined;
+        } finally {
+            this.isChecking = false;
+            this.scheduleNext(!result.ok);
+        }
+
+        if (result.reachable) {
+            result.latencyMs = Math.round(performance.now() - startTime);
+        }
+
+        this.lastResult = result;
+        this.history.push({ time: result.time, ok: result.ok, latencyMs: result.latencyMs });
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        this.emit('result', result);
+        return result;
+    }
+
+    /**
+     * Schedule the next check, sooner while the server is down
+     */
+    scheduleNext(failed) {
+        if (this.intervalMs <= 0) return;
+
+        const delay = failed ?
+            Math.min(this.intervalMs, this.offlineIntervalMs) :
+            this.intervalMs;
+        this.timer = setTimeout(() => this.check(), delay);
+    }
+
+    /**
+     * Min, average and max latency over the recorded history
+     */
+    getLatencyStats() {
+        const latencies = this.history.filter(entry => entry.ok).map(entry => entry.latencyMs);
+        if (latencies.length === 0) return null;
+
+        return {
+            min: Math.min(...latencies),
+            avg: Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length),
+            max: Math.max(...latencies)
+        };
+    }
+
+    /**
+     * Pull status, version and model details out of a health response
+     * JSON payloads are searched for common field names; plain text is used as the status
+     */
+    static parsePayload(payload) {
+        const info = { status: null, version: null, model: null, raw: payload };
+
+        let data = null;
+        try {
+            data = JSON.parse(payload);
+        } catch (error) {
+            // Plain text response such as "OK"
+        }
+
+        if (!data || typeof data !== 'object') {
+            info.status = String(payload).trim().slice(0, 100) || null;
+            return info;
+        }
+
+        const pick = (...keys) => {
+            const key = keys.find(name => data[name] !== undefined && data[name] !== null);
+            return key ? data[key] : null;
+        };
+
+        info.status = pick('status', 'state');
+        info.version = pick('version', 'server_version', 'serverVersion');
+        const model = pick('model', 'model_name', 'modelName', 'models', 'loaded_models');
+        info.model = Array.isArray(model) ? model.join(', ') : model;
+        return info;
+    }
+}
+
+// Export for use in other modules
+export { HealthMonitor };
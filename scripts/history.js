@@ -0,0 +1,134 @@
+/**
+ * Transcription history module for Whisper Flow frontend
+ * Persists recording and upload sessions in IndexedDB
+ */
+
+class TranscriptHistory {
+    constructor(dbName = 'whisperFlowHistory') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.storeName = 'sessions';
+        this.db = null;
+    }
+
+    /**
+     * Open (and create or upgrade if needed) the history database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    store.createIndex('startedAt', 'startedAt');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against the sessions store
+     */
+    async runRequest(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Insert or update a session record
+     */
+    async saveSession(session) {
+        await this.runRequest('readwrite', store => store.put(session));
+        return session;
+    }
+
+    /**
+     * Get a session record by id
+     */
+    async getSession(id) {
+        const session = await this.runRequest('readonly', store => store.get(id));
+        return session || null;
+    }
+
+    /**
+     * List all sessions, most recent first
+     */
+    async listSessions() {
+        const sessions = await this.runRequest('readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * Rename a session
+     */
+    async renameSession(id, title) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        session.title = title;
+        return this.saveSession(session);
+    }
+
+    /**
+     * Delete a session
+     */
+    async deleteSession(id) {
+        await this.runRequest('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Create a new (unsaved) session record
+     */
+    static createSession({ type, serverConfig, fileName = null }) {
+        const startedAt = Date.now();
+        const id = window.crypto && window.crypto.randomUUID ?
+            window.crypto.randomUUID() :
+            `${startedAt}-${Math.random().toString(36).slice(2, 10)}`;
+
+        return {
+            id: id,
+            type: type, // 'recording', 'upload' or 'stream'
+            title: fileName || `Recording ${new Date(startedAt).toLocaleString()}`,
+            startedAt: startedAt,
+            endedAt: null,
+            serverConfig: serverConfig,
+            fileName: fileName,
+            lines: []
+        };
+    }
+}
+
+// Export for use in other modules
+export { TranscriptHistory };
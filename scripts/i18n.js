@@ -0,0 +1,760 @@
+/**
+ * Interface translations for Whisper Flow frontend
+ * Looks up UI strings in the catalog for the chosen locale and translates marked elements
+ */
+
+/**
+ * Strings are looked up by their English text, so English needs no catalog and a string
+ * missing from a catalog is shown in English. Placeholders such as {name} are filled in
+ * from the params passed to t().
+ */
+class I18n {
+    constructor(locale = null) {
+        this.locale = locale || I18n.detectLocale();
+        this.catalog = I18n.CATALOGS[this.locale] || {};
+    }
+
+    /**
+     * Translate a string, filling in {placeholders} from params
+     */
+    t(text, params = {}) {
+        const translated = Object.prototype.hasOwnProperty.call(this.catalog, text) ? this.catalog[text] : text;
+        return translated.replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+        );
+    }
+
+    /**
+     * Translate elements marked with data-i18n (text), data-i18n-title and data-i18n-placeholder
+     * The English text is kept in the attribute, so a page can be translated again
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            if (!element.dataset.i18n) {
+                element.dataset.i18n = element.textContent.trim();
+            }
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        [['i18nTitle', 'title'], ['i18nPlaceholder', 'placeholder']].forEach(([key, attribute]) => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                if (!element.dataset[key]) {
+                    element.dataset[key] = element.getAttribute(attribute);
+                }
+                element.setAttribute(attribute, this.t(element.dataset[key]));
+            });
+        });
+
+        if (root === document) {
+            document.documentElement.lang = this.locale;
+        }
+    }
+
+    /**
+     * Get the name of a language code in the interface language, e.g. 'de' -> 'German'
+     */
+    getLanguageName(code) {
+        try {
+            return new Intl.DisplayNames([this.locale], { type: 'language' }).of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Pick the interface locale: ?lang= first, then the browser's preferred languages
+     */
+    static detectLocale() {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        const preferred = (navigator.languages || [navigator.language || '']).slice();
+        if (requested) {
+            preferred.unshift(requested);
+        }
+
+        for (const language of preferred) {
+            const code = String(language).toLowerCase().split('-')[0];
+            if (I18n.LOCALES.includes(code)) {
+                return code;
+            }
+        }
+        return 'en';
+    }
+}
+
+// Interface languages; English is the source language
+I18n.LOCALES = ['en', 'de', 'es'];
+
+// Translations keyed by the English text, in the order the strings appear
+I18n.CATALOGS = {
+    de: {
+        'Whisper Flow - Real-Time Transcription': 'Whisper Flow - Echtzeit-Transkription',
+        'Real-Time Speech-to-Text Transcription': 'Sprache-zu-Text-Transkription in Echtzeit',
+        'Connecting...': 'Verbinde...',
+        'Reconnect now': 'Jetzt neu verbinden',
+        'Health: –': 'Status: –',
+        'Server health - click for details': 'Serverstatus - für Details klicken',
+        'Recent notifications': 'Letzte Benachrichtigungen',
+        'History': 'Verlauf',
+        'Metrics': 'Messwerte',
+        'Shortcuts': 'Tastenkürzel',
+        'Keyboard shortcuts (?)': 'Tastenkürzel (?)',
+        'Settings': 'Einstellungen',
+        'Server Configuration': 'Serverkonfiguration',
+        'Profile:': 'Profil:',
+        'New': 'Neu',
+        'Rename': 'Umbenennen',
+        'Delete': 'Löschen',
+        'Export': 'Exportieren',
+        'Import': 'Importieren',
+        'Server URL:': 'Server-URL:',
+        'Full base URL; overrides the scheme, hostname, port and base path below': 'Vollständige Basis-URL; ersetzt Schema, Hostname, Port und Basispfad unten',
+        'Optional, e.g. https://example.com/whisper': 'Optional, z. B. https://example.com/whisper',
+        'Hostname:': 'Hostname:',
+        'Port:': 'Port:',
+        'Leave empty to use the scheme\'s default port': 'Leer lassen, um den Standardport des Schemas zu verwenden',
+        'Default': 'Standard',
+        'Base path:': 'Basispfad:',
+        'Prefix for every endpoint, e.g. when behind a reverse proxy': 'Präfix für jeden Endpunkt, z. B. hinter einem Reverse Proxy',
+        'WS scheme:': 'WS-Schema:',
+        'Auto': 'Automatisch',
+        'HTTP scheme:': 'HTTP-Schema:',
+        'WS path:': 'WS-Pfad:',
+        'HTTP path:': 'HTTP-Pfad:',
+        'File transcription endpoint': 'Endpunkt für Dateitranskription',
+        'Health path:': 'Statuspfad:',
+        'Auth:': 'Anmeldung:',
+        'None': 'Keine',
+        'Bearer token': 'Bearer-Token',
+        'API key': 'API-Schlüssel',
+        'Key header:': 'Schlüssel-Header:',
+        'HTTP header carrying the API key': 'HTTP-Header mit dem API-Schlüssel',
+        'Token:': 'Token:',
+        'Show': 'Anzeigen',
+        'Session only:': 'Nur diese Sitzung:',
+        'Keep the token for this tab only instead of saving it with the profile': 'Token nur für diesen Tab behalten, statt ihn im Profil zu speichern',
+        'Socket auth:': 'Socket-Anmeldung:',
+        'Subprotocol': 'Subprotokoll',
+        'Query parameter': 'Query-Parameter',
+        'How the WebSocket sends the token': 'Wie der WebSocket das Token sendet',
+        'Parameter:': 'Parameter:',
+        'Query parameter name for the token': 'Name des Query-Parameters für das Token',
+        'Model:': 'Modell:',
+        'Language:': 'Sprache:',
+        'Language spoken in the audio; English-only (.en) models always transcribe English': 'Im Audio gesprochene Sprache; reine Englisch-Modelle (.en) transkribieren immer Englisch',
+        'Segment:': 'Segment:',
+        'Length of each uploaded file segment, in seconds': 'Länge jedes hochgeladenen Dateisegments in Sekunden',
+        'Overlap:': 'Überlappung:',
+        'Audio shared between neighbouring segments, in seconds': 'Gemeinsames Audio benachbarter Segmente in Sekunden',
+        'Parallel files:': 'Parallele Dateien:',
+        'How many queued files are transcribed at once': 'Wie viele Dateien der Warteschlange gleichzeitig transkribiert werden',
+        'Channels:': 'Kanäle:',
+        'Average all channels': 'Alle Kanäle mitteln',
+        'Single channel': 'Einzelner Kanal',
+        'Each channel separately': 'Jeden Kanal einzeln',
+        'How multichannel files are transcribed': 'Wie mehrkanalige Dateien transkribiert werden',
+        'Channel:': 'Kanal:',
+        'Channel to transcribe (1 = left)': 'Zu transkribierender Kanal (1 = links)',
+        'Voice gate:': 'Sprachfilter:',
+        'Only stream audio that contains speech': 'Nur Audio mit Sprache senden',
+        'Threshold:': 'Schwelle:',
+        'Speech level (RMS, 0-1)': 'Sprachpegel (RMS, 0-1)',
+        'Hangover:': 'Nachlauf:',
+        'Audio kept after speech ends, in milliseconds': 'Nach Sprachende behaltenes Audio in Millisekunden',
+        'Pre-roll:': 'Vorlauf:',
+        'Audio sent before speech starts, in milliseconds': 'Vor Sprachbeginn gesendetes Audio in Millisekunden',
+        'Auto-stop:': 'Auto-Stopp:',
+        'Stop recording after this many seconds of silence (0 = never)': 'Aufnahme nach so vielen Sekunden Stille beenden (0 = nie)',
+        'Outage buffer:': 'Ausfallpuffer:',
+        'Seconds of audio kept while disconnected': 'Sekunden Audio, die ohne Verbindung gepuffert werden',
+        'Keep audio:': 'Audio behalten:',
+        'Keep a copy of each recording in the browser for playback and WAV download': 'Eine Kopie jeder Aufnahme im Browser für Wiedergabe und WAV-Download behalten',
+        'Push-to-talk:': 'Push-to-Talk:',
+        'Record only while the push-to-talk key (Space by default) is held': 'Nur aufnehmen, solange die Push-to-Talk-Taste (standardmäßig Leertaste) gedrückt ist',
+        'Health check:': 'Statusprüfung:',
+        'Seconds between server health checks (0 = off)': 'Sekunden zwischen Statusprüfungen des Servers (0 = aus)',
+        'Retries:': 'Wiederholungen:',
+        'Reconnect attempts before giving up (0 = unlimited)': 'Verbindungsversuche vor dem Aufgeben (0 = unbegrenzt)',
+        'Heartbeat:': 'Heartbeat:',
+        'Seconds between liveness checks; a socket whose audio stops draining, or that stops answering pings, for two intervals is reconnected (0 = off)': 'Sekunden zwischen Lebenszeichen-Prüfungen; ein Socket, dessen Audio zwei Intervalle lang nicht abfließt oder der Pings nicht mehr beantwortet, wird neu verbunden (0 = aus)',
+        'Send pings:': 'Pings senden:',
+        'Send JSON ping messages; only enable for servers that answer with pongs': 'JSON-Ping-Nachrichten senden; nur für Server aktivieren, die mit Pongs antworten',
+        'Source:': 'Quelle:',
+        'Loading...': 'Lädt...',
+        'Apply & Connect': 'Übernehmen & verbinden',
+        'Reset to Default': 'Auf Standard zurücksetzen',
+        'Server': 'Server',
+        'Check now': 'Jetzt prüfen',
+        'HTTP URL': 'HTTP-URL',
+        'WebSocket URL': 'WebSocket-URL',
+        'Status': 'Status',
+        'Last check': 'Letzte Prüfung',
+        'Version': 'Version',
+        'Model': 'Modell',
+        'Round trip': 'Antwortzeit',
+        'Recent round-trip times, oldest first': 'Letzte Antwortzeiten, älteste zuerst',
+        'Streaming Metrics': 'Streaming-Messwerte',
+        'Reset': 'Zurücksetzen',
+        'Audio sent': 'Gesendetes Audio',
+        'Total sent': 'Insgesamt gesendet',
+        'Socket buffer': 'Socket-Puffer',
+        'Bytes queued in the WebSocket but not yet sent (bufferedAmount)': 'Im WebSocket wartende, noch nicht gesendete Bytes (bufferedAmount)',
+        'Throttled chunks': 'Gedrosselte Blöcke',
+        'Chunks dropped by the 10 ms send throttle in the current recording': 'In der aktuellen Aufnahme durch die 10-ms-Sendedrossel verworfene Blöcke',
+        'First partial': 'Erstes Teilergebnis',
+        'Time from the start of speech (with voice detection) or the first audio sent to the first partial result of an utterance': 'Zeit vom Sprechbeginn (mit Spracherkennung) oder vom ersten gesendeten Audio bis zum ersten Teilergebnis einer Äußerung',
+        '{latency}, including silence before speech': '{latency}, inklusive Stille vor dem Sprechen',
+        'Partial to final': 'Teil- bis Endergebnis',
+        'Time from an utterance\'s first partial result to its final result': 'Zeit vom ersten Teilergebnis einer Äußerung bis zu ihrem Endergebnis',
+        'Reconnects': 'Neuverbindungen',
+        'Dropped connections that were re-established automatically': 'Abgebrochene Verbindungen, die automatisch wiederhergestellt wurden',
+        'Notifications': 'Benachrichtigungen',
+        'Clear': 'Leeren',
+        'No notifications yet': 'Noch keine Benachrichtigungen',
+        'Dismiss': 'Schließen',
+        'First at {time}': 'Zuerst um {time}',
+        'Session History': 'Sitzungsverlauf',
+        'No saved sessions yet': 'Noch keine gespeicherten Sitzungen',
+        'Start Recording': 'Aufnahme starten',
+        'Stop Recording': 'Aufnahme beenden',
+        '🎙️ Microphone:': '🎙️ Mikrofon:',
+        'Default microphone': 'Standardmikrofon',
+        'Audio Level': 'Audiopegel',
+        'Live Transcription': 'Live-Transkription',
+        'Undo': 'Rückgängig',
+        'Undo the last transcript edit (Ctrl+Z)': 'Letzte Änderung am Transkript rückgängig machen (Strg+Z)',
+        'Redo': 'Wiederholen',
+        'Redo (Ctrl+Shift+Z)': 'Wiederholen (Strg+Umschalt+Z)',
+        'Copy': 'Kopieren',
+        'Copy the transcript as plain text': 'Transkript als reinen Text kopieren',
+        'Export SRT': 'SRT exportieren',
+        'Export VTT': 'VTT exportieren',
+        'Start recording to see live transcription...': 'Starten Sie eine Aufnahme, um die Live-Transkription zu sehen...',
+        'Download WAV': 'WAV herunterladen',
+        'Upload Audio File': 'Audiodatei hochladen',
+        'Drag & drop audio files or folders here or click to browse': 'Audiodateien oder Ordner hierher ziehen oder zum Auswählen klicken',
+        'Transcribe Files': 'Dateien transkribieren',
+        'Stream speed': 'Stream-Tempo',
+        '1× (real time)': '1× (Echtzeit)',
+        'Pace for streaming a queued file through the live connection': 'Tempo, mit dem eine Datei aus der Warteschlange über die Live-Verbindung gestreamt wird',
+        'Retry failed': 'Fehlgeschlagene wiederholen',
+        'Clear finished': 'Fertige entfernen',
+        'Keyboard Shortcuts': 'Tastenkürzel',
+        'Close (Escape)': 'Schließen (Escape)',
+        'Click a shortcut and press a new key combination to change it. Shortcuts are ignored while typing in a field or editing the transcript.': 'Klicken Sie auf ein Kürzel und drücken Sie eine neue Tastenkombination, um es zu ändern. Kürzel werden beim Tippen in einem Feld oder beim Bearbeiten des Transkripts ignoriert.',
+        'Reset to defaults': 'Auf Standard zurücksetzen',
+        'Powered by OpenAI Whisper • Real-time streaming transcription': 'Mit OpenAI Whisper • Streaming-Transkription in Echtzeit',
+        'Hide': 'Verbergen',
+        'Connected to Whisper Flow': 'Mit Whisper Flow verbunden',
+        'Connection failed': 'Verbindung fehlgeschlagen',
+        'Connection failed after 1 attempt': 'Verbindung nach 1 Versuch fehlgeschlagen',
+        'Connection failed after {count} attempts': 'Verbindung nach {count} Versuchen fehlgeschlagen',
+        'Not connected': 'Nicht verbunden',
+        'Disconnected - reconnecting in {seconds}s (attempt {attempt})': 'Getrennt - neuer Versuch in {seconds} s (Versuch {attempt})',
+        'Server unreachable - waiting for it to come back': 'Server nicht erreichbar - warte, bis er wieder verfügbar ist',
+        'Reconnecting (attempt {attempt})...': 'Verbinde neu (Versuch {attempt})...',
+        'Authentication failed - check the token in Settings': 'Anmeldung fehlgeschlagen - prüfen Sie das Token in den Einstellungen',
+        '{seconds}s audio pending': '{seconds} s Audio ausstehend',
+        '{seconds}s dropped': '{seconds} s verworfen',
+        'Audio Level: Low': 'Audiopegel: niedrig',
+        'Audio Level: Medium': 'Audiopegel: mittel',
+        'Audio Level: High': 'Audiopegel: hoch',
+        'Play from here': 'Ab hier abspielen',
+        'Place the cursor where the line should be split': 'Setzen Sie den Cursor an die Stelle, an der die Zeile geteilt werden soll',
+        '(off; enable it in the settings)': '(aus; in den Einstellungen aktivieren)',
+        'Click, then press the new key combination': 'Klicken und dann die neue Tastenkombination drücken',
+        'Press keys…': 'Tasten drücken…',
+        'Recording...': 'Nimmt auf...',
+        'Streaming file: {position} / {duration}': 'Streame Datei: {position} / {duration}',
+        'Decoding file for streaming...': 'Dekodiere Datei zum Streamen...',
+        'Failed segment(s): {segments}': 'Fehlgeschlagene Segmente: {segments}',
+        'Pending': 'Wartend',
+        'Decoding': 'Dekodiere',
+        'Uploading': 'Lade hoch',
+        'segment {current} of {total}': 'Segment {current} von {total}',
+        'about {time} remaining': 'noch etwa {time}',
+        'Done with errors': 'Fertig mit Fehlern',
+        'Done': 'Fertig',
+        'Failed': 'Fehlgeschlagen',
+        'No speech detected': 'Keine Sprache erkannt',
+        'Uploads paused until the server settings change': 'Uploads pausiert, bis die Servereinstellungen geändert werden',
+        '1 file: {parts}': '1 Datei: {parts}',
+        '{count} files: {parts}': '{count} Dateien: {parts}',
+        'Delete profile "{name}"?': 'Profil „{name}“ löschen?',
+        'Auto-detect': 'Automatisch erkennen',
+        'Server URL must be a full http(s) or ws(s) URL without query string': 'Die Server-URL muss eine vollständige http(s)- oder ws(s)-URL ohne Query-String sein',
+        'Hostname must not contain spaces, slashes or "@"': 'Der Hostname darf keine Leerzeichen, Schrägstriche oder „@“ enthalten',
+        'Hostname is required': 'Ein Hostname ist erforderlich',
+        'Port must be empty or a number between 1 and 65535': 'Der Port muss leer oder eine Zahl zwischen 1 und 65535 sein',
+        'Base path must start with "/"': 'Der Basispfad muss mit „/“ beginnen',
+        'WebSocket, HTTP and health paths must start with "/" and have no query string': 'WebSocket-, HTTP- und Statuspfad müssen mit „/“ beginnen und dürfen keinen Query-String haben',
+        'Segment length must be between 5 and 600 seconds': 'Die Segmentlänge muss zwischen 5 und 600 Sekunden liegen',
+        'Segment overlap must be at least 0 and shorter than the segment': 'Die Überlappung muss mindestens 0 und kürzer als das Segment sein',
+        'Parallel files must be between 1 and 8': 'Parallele Dateien müssen zwischen 1 und 8 liegen',
+        'Channel must be a number starting at 1': 'Der Kanal muss eine Zahl ab 1 sein',
+        'Voice threshold must be between 0 and 1': 'Die Sprachschwelle muss zwischen 0 und 1 liegen',
+        'Hangover and pre-roll must be 0 or more milliseconds': 'Nachlauf und Vorlauf müssen 0 oder mehr Millisekunden sein',
+        'Auto-stop must be 0 or more seconds': 'Auto-Stopp muss 0 oder mehr Sekunden sein',
+        'Enter a token or set authentication to None': 'Geben Sie ein Token ein oder stellen Sie die Anmeldung auf Keine',
+        'API key header must be a valid header name, e.g. X-API-Key': 'Der Schlüssel-Header muss ein gültiger Header-Name sein, z. B. X-API-Key',
+        'This token has characters a WebSocket subprotocol cannot carry; send it as a query parameter instead': 'Dieses Token enthält Zeichen, die ein WebSocket-Subprotokoll nicht übertragen kann; senden Sie es stattdessen als Query-Parameter',
+        'Query parameter name is required': 'Ein Name für den Query-Parameter ist erforderlich',
+        'Outage buffer must be between 0 and 600 seconds': 'Der Ausfallpuffer muss zwischen 0 und 600 Sekunden liegen',
+        'Health check interval must be 0 (off) or between 2 and 3600 seconds': 'Das Prüfintervall muss 0 (aus) oder zwischen 2 und 3600 Sekunden sein',
+        'Reconnect attempts must be between 0 (unlimited) and 1000': 'Die Verbindungsversuche müssen zwischen 0 (unbegrenzt) und 1000 liegen',
+        'Heartbeat interval must be 0 (off) or between 5 and 300 seconds': 'Das Heartbeat-Intervall muss 0 (aus) oder zwischen 5 und 300 Sekunden sein',
+        'Configuration Error: {message}': 'Konfigurationsfehler: {message}',
+        'Configuration: {message}': 'Konfiguration: {message}',
+        'Hide Settings': 'Einstellungen ausblenden',
+        'Upload': 'Upload',
+        'Stream': 'Stream',
+        'Recording': 'Aufnahme',
+        '1 line': '1 Zeile',
+        '{count} lines': '{count} Zeilen',
+        'Session name:': 'Sitzungsname:',
+        'Delete session "{title}"? This cannot be undone.': 'Sitzung „{title}“ löschen? Dies kann nicht rückgängig gemacht werden.',
+        'Health: off': 'Status: aus',
+        'Server OK • {latency} ms': 'Server OK • {latency} ms',
+        'Server error': 'Serverfehler',
+        'Server down': 'Server nicht erreichbar',
+        'Healthy ({status})': 'In Ordnung ({status})',
+        'Healthy': 'In Ordnung',
+        'Unhealthy: {error}': 'Gestört: {error}',
+        '{latency} ms (min {min}, avg {avg}, max {max})': '{latency} ms (min. {min}, Ø {avg}, max. {max})',
+        'failed': 'fehlgeschlagen',
+        '{last} ms (avg {avg} ms, max {max} ms)': '{last} ms (Ø {avg} ms, max. {max} ms)',
+        '{rate} chunks/s • {bytes}/s': '{rate} Blöcke/s • {bytes}/s',
+        '{count} chunks • {bytes}': '{count} Blöcke • {bytes}',
+        'Failed to initialize application: {error}': 'Anwendung konnte nicht gestartet werden: {error}',
+        'Microphone access denied. Please allow microphone access and refresh the page.': 'Mikrofonzugriff verweigert. Bitte erlauben Sie den Zugriff und laden Sie die Seite neu.',
+        'Session history is unavailable: {error}': 'Sitzungsverlauf nicht verfügbar: {error}',
+        'Failed to save session: {error}': 'Sitzung konnte nicht gespeichert werden: {error}',
+        'There is no next line to merge with': 'Es gibt keine nächste Zeile zum Zusammenführen',
+        'Place the cursor inside the text to split the line': 'Setzen Sie den Cursor in den Text, um die Zeile zu teilen',
+        'No finalized transcription to copy': 'Keine fertige Transkription zum Kopieren',
+        'Transcript copied': 'Transkript kopiert',
+        'Failed to copy transcript: {error}': 'Transkript konnte nicht kopiert werden: {error}',
+        'Microphone: {name}': 'Mikrofon: {name}',
+        'Failed to switch microphone: {error}': 'Mikrofon konnte nicht gewechselt werden: {error}',
+        'Microphone "{lost}" disconnected. Switched to {name}': 'Mikrofon „{lost}“ getrennt. Gewechselt zu {name}',
+        'Microphone "{lost}" disconnected and no other microphone is available': 'Mikrofon „{lost}“ getrennt und kein anderes Mikrofon verfügbar',
+        'Server error ({code}): {message}': 'Serverfehler ({code}): {message}',
+        'Server error: {message}': 'Serverfehler: {message}',
+        'Server sent an unrecognised "{type}" message. The server may be newer than this frontend': 'Der Server hat eine unbekannte „{type}“-Nachricht gesendet. Der Server ist möglicherweise neuer als dieses Frontend',
+        'Server sent an unrecognised message. The server may be newer than this frontend': 'Der Server hat eine unbekannte Nachricht gesendet. Der Server ist möglicherweise neuer als dieses Frontend',
+        'Protocol error: {problem}': 'Protokollfehler: {problem}',
+        'Connected to Whisper Flow server': 'Mit dem Whisper-Flow-Server verbunden',
+        'Disconnected from Whisper Flow server. Recording continues and audio will be sent on reconnect': 'Verbindung zum Whisper-Flow-Server getrennt. Die Aufnahme läuft weiter, das Audio wird nach dem Neuverbinden gesendet',
+        'Disconnected from Whisper Flow server': 'Verbindung zum Whisper-Flow-Server getrennt',
+        'Failed to reconnect: {error}': 'Neuverbindung fehlgeschlagen: {error}',
+        'Audio buffer is full. The oldest unsent audio is being discarded': 'Der Audiopuffer ist voll. Das älteste nicht gesendete Audio wird verworfen',
+        'Connection error: {error}': 'Verbindungsfehler: {error}',
+        'Recording stopped after {seconds} seconds of silence': 'Aufnahme nach {seconds} Sekunden Stille beendet',
+        'Stop streaming the file before recording': 'Beenden Sie das Streamen der Datei vor der Aufnahme',
+        'Not connected to server': 'Nicht mit dem Server verbunden',
+        'Failed to start recording: {error}': 'Aufnahme konnte nicht gestartet werden: {error}',
+        'Recording started': 'Aufnahme gestartet',
+        'Recording stopped': 'Aufnahme beendet',
+        'Stop the current recording or stream first': 'Beenden Sie zuerst die aktuelle Aufnahme oder den Stream',
+        'Finished streaming {name}': '{name} fertig gestreamt',
+        'Streaming stopped': 'Streamen beendet',
+        'Failed to stream {name}: {error}': '{name} konnte nicht gestreamt werden: {error}',
+        'Transcript cleared. Undo restores it': 'Transkript geleert. Rückgängig stellt es wieder her',
+        '{combo} is already used for "{action}"': '{combo} wird bereits für „{action}“ verwendet',
+        'Failed to save shortcuts: {error}': 'Tastenkürzel konnten nicht gespeichert werden: {error}',
+        'Failed to read dropped files: {error}': 'Abgelegte Dateien konnten nicht gelesen werden: {error}',
+        'Please select audio files': 'Bitte wählen Sie Audiodateien aus',
+        'Queued 1 file': '1 Datei eingereiht',
+        'Queued {count} files': '{count} Dateien eingereiht',
+        'skipped 1 non-audio file': '1 Nicht-Audiodatei übersprungen',
+        'skipped {count} non-audio files': '{count} Nicht-Audiodateien übersprungen',
+        'Connected to {server} using {model}': 'Mit {server} verbunden, Modell {model}',
+        'Reset to default configuration': 'Auf Standardkonfiguration zurückgesetzt',
+        'Switched to profile {name}': 'Zu Profil {name} gewechselt',
+        'New profile name:': 'Name des neuen Profils:',
+        'Created profile {name}. Click "Apply & Connect" to use it': 'Profil {name} erstellt. Klicken Sie auf „Übernehmen & verbinden“, um es zu verwenden',
+        'Profile name:': 'Profilname:',
+        'Renamed profile to {name}': 'Profil in {name} umbenannt',
+        'Deleted profile {name}': 'Profil {name} gelöscht',
+        'No saved profiles to export': 'Keine gespeicherten Profile zum Exportieren',
+        'Exported profiles': 'Profile exportiert',
+        'Imported {count} profile(s)': '{count} Profil(e) importiert',
+        'skipped invalid: {names}': 'ungültige übersprungen: {names}',
+        'No files queued': 'Keine Dateien in der Warteschlange',
+        'Transcribing 1 file...': 'Transkribiere 1 Datei...',
+        'Transcribing {count} files...': 'Transkribiere {count} Dateien...',
+        'All segments failed': 'Alle Segmente fehlgeschlagen',
+        '1 file failed to transcribe': '1 Datei konnte nicht transkribiert werden',
+        '{count} files failed to transcribe': '{count} Dateien konnten nicht transkribiert werden',
+        'All files transcribed': 'Alle Dateien transkribiert',
+        'Opened transcript: {name}': 'Transkript geöffnet: {name}',
+        'Session not found': 'Sitzung nicht gefunden',
+        'Opened session: {title}': 'Sitzung geöffnet: {title}',
+        'Failed to open session: {error}': 'Sitzung konnte nicht geöffnet werden: {error}',
+        'Failed to rename session: {error}': 'Sitzung konnte nicht umbenannt werden: {error}',
+        'Deleted session: {title}': 'Sitzung gelöscht: {title}',
+        'Failed to delete session: {error}': 'Sitzung konnte nicht gelöscht werden: {error}',
+        'No finalized transcription to export': 'Keine fertige Transkription zum Exportieren',
+        'Exported {format} subtitles': '{format}-Untertitel exportiert',
+        'Merge with the next line': 'Mit der nächsten Zeile zusammenführen',
+        'Split at the cursor (Enter)': 'Am Cursor teilen (Enter)',
+        'Delete line': 'Zeile löschen',
+        'Move up': 'Nach oben',
+        'Move down': 'Nach unten',
+        'Open': 'Öffnen',
+        'Show in the transcript view': 'In der Transkriptansicht zeigen',
+        'Retry': 'Wiederholen',
+        'Transcribe again': 'Erneut transkribieren',
+        'Replay through the live connection, like microphone input': 'Über die Live-Verbindung abspielen, wie eine Mikrofoneingabe',
+        'Remove from the queue': 'Aus der Warteschlange entfernen',
+        '{count} done': '{count} fertig',
+        '{count} decoding': '{count} werden dekodiert',
+        '{count} uploading': '{count} werden hochgeladen',
+        '{count} pending': '{count} wartend',
+        '{count} failed': '{count} fehlgeschlagen',
+        'Start or stop recording': 'Aufnahme starten oder beenden',
+        'Start recording': 'Aufnahme starten',
+        'Stop recording': 'Aufnahme beenden',
+        'Push-to-talk (hold to record)': 'Push-to-Talk (zum Aufnehmen halten)',
+        'Clear the transcript': 'Transkript leeren',
+        'Copy the transcript': 'Transkript kopieren',
+        'Show or hide settings': 'Einstellungen ein- oder ausblenden',
+        'Show this help': 'Diese Hilfe anzeigen'
+    },
+    es: {
+        'Whisper Flow - Real-Time Transcription': 'Whisper Flow - Transcripción en tiempo real',
+        'Real-Time Speech-to-Text Transcription': 'Transcripción de voz a texto en tiempo real',
+        'Connecting...': 'Conectando...',
+        'Reconnect now': 'Reconectar ahora',
+        'Health: –': 'Estado: –',
+        'Server health - click for details': 'Estado del servidor - haga clic para ver detalles',
+        'Recent notifications': 'Notificaciones recientes',
+        'History': 'Historial',
+        'Metrics': 'Métricas',
+        'Shortcuts': 'Atajos',
+        'Keyboard shortcuts (?)': 'Atajos de teclado (?)',
+        'Settings': 'Ajustes',
+        'Server Configuration': 'Configuración del servidor',
+        'Profile:': 'Perfil:',
+        'New': 'Nuevo',
+        'Rename': 'Renombrar',
+        'Delete': 'Eliminar',
+        'Export': 'Exportar',
+        'Import': 'Importar',
+        'Server URL:': 'URL del servidor:',
+        'Full base URL; overrides the scheme, hostname, port and base path below': 'URL base completa; sustituye el esquema, el host, el puerto y la ruta base de abajo',
+        'Optional, e.g. https://example.com/whisper': 'Opcional, p. ej. https://example.com/whisper',
+        'Hostname:': 'Host:',
+        'Port:': 'Puerto:',
+        'Leave empty to use the scheme\'s default port': 'Déjelo vacío para usar el puerto predeterminado del esquema',
+        'Default': 'Predeterminado',
+        'Base path:': 'Ruta base:',
+        'Prefix for every endpoint, e.g. when behind a reverse proxy': 'Prefijo para cada endpoint, p. ej. detrás de un proxy inverso',
+        'WS scheme:': 'Esquema WS:',
+        'Auto': 'Automático',
+        'HTTP scheme:': 'Esquema HTTP:',
+        'WS path:': 'Ruta WS:',
+        'HTTP path:': 'Ruta HTTP:',
+        'File transcription endpoint': 'Endpoint de transcripción de archivos',
+        'Health path:': 'Ruta de estado:',
+        'Auth:': 'Autenticación:',
+        'None': 'Ninguna',
+        'Bearer token': 'Token Bearer',
+        'API key': 'Clave de API',
+        'Key header:': 'Cabecera de la clave:',
+        'HTTP header carrying the API key': 'Cabecera HTTP que lleva la clave de API',
+        'Token:': 'Token:',
+        'Show': 'Mostrar',
+        'Session only:': 'Solo esta sesión:',
+        'Keep the token for this tab only instead of saving it with the profile': 'Conservar el token solo para esta pestaña en lugar de guardarlo con el perfil',
+        'Socket auth:': 'Autenticación del socket:',
+        'Subprotocol': 'Subprotocolo',
+        'Query parameter': 'Parámetro de consulta',
+        'How the WebSocket sends the token': 'Cómo envía el token el WebSocket',
+        'Parameter:': 'Parámetro:',
+        'Query parameter name for the token': 'Nombre del parámetro de consulta para el token',
+        'Model:': 'Modelo:',
+        'Language:': 'Idioma:',
+        'Language spoken in the audio; English-only (.en) models always transcribe English': 'Idioma hablado en el audio; los modelos solo en inglés (.en) siempre transcriben inglés',
+        'Segment:': 'Segmento:',
+        'Length of each uploaded file segment, in seconds': 'Duración de cada segmento de archivo subido, en segundos',
+        'Overlap:': 'Solapamiento:',
+        'Audio shared between neighbouring segments, in seconds': 'Audio compartido entre segmentos vecinos, en segundos',
+        'Parallel files:': 'Archivos en paralelo:',
+        'How many queued files are transcribed at once': 'Cuántos archivos de la cola se transcriben a la vez',
+        'Channels:': 'Canales:',
+        'Average all channels': 'Promediar todos los canales',
+        'Single channel': 'Un solo canal',
+        'Each channel separately': 'Cada canal por separado',
+        'How multichannel files are transcribed': 'Cómo se transcriben los archivos multicanal',
+        'Channel:': 'Canal:',
+        'Channel to transcribe (1 = left)': 'Canal que se transcribe (1 = izquierdo)',
+        'Voice gate:': 'Filtro de voz:',
+        'Only stream audio that contains speech': 'Enviar solo audio que contiene voz',
+        'Threshold:': 'Umbral:',
+        'Speech level (RMS, 0-1)': 'Nivel de voz (RMS, 0-1)',
+        'Hangover:': 'Retención:',
+        'Audio kept after speech ends, in milliseconds': 'Audio conservado tras el final de la voz, en milisegundos',
+        'Pre-roll:': 'Pre-roll:',
+        'Audio sent before speech starts, in milliseconds': 'Audio enviado antes de que empiece la voz, en milisegundos',
+        'Auto-stop:': 'Parada automática:',
+        'Stop recording after this many seconds of silence (0 = never)': 'Detener la grabación tras estos segundos de silencio (0 = nunca)',
+        'Outage buffer:': 'Búfer de cortes:',
+        'Seconds of audio kept while disconnected': 'Segundos de audio conservados mientras no hay conexión',
+        'Keep audio:': 'Conservar audio:',
+        'Keep a copy of each recording in the browser for playback and WAV download': 'Conservar una copia de cada grabación en el navegador para reproducirla y descargarla en WAV',
+        'Push-to-talk:': 'Pulsar para hablar:',
+        'Record only while the push-to-talk key (Space by default) is held': 'Grabar solo mientras se mantiene pulsada la tecla de pulsar para hablar (Espacio por defecto)',
+        'Health check:': 'Comprobación de estado:',
+        'Seconds between server health checks (0 = off)': 'Segundos entre comprobaciones de estado del servidor (0 = desactivado)',
+        'Retries:': 'Reintentos:',
+        'Reconnect attempts before giving up (0 = unlimited)': 'Intentos de reconexión antes de rendirse (0 = ilimitados)',
+        'Heartbeat:': 'Latido:',
+        'Seconds between liveness checks; a socket whose audio stops draining, or that stops answering pings, for two intervals is reconnected (0 = off)': 'Segundos entre comprobaciones de actividad; un socket cuyo audio deja de enviarse o que deja de responder a los pings durante dos intervalos se reconecta (0 = desactivado)',
+        'Send pings:': 'Enviar pings:',
+        'Send JSON ping messages; only enable for servers that answer with pongs': 'Enviar mensajes ping JSON; actívelo solo para servidores que respondan con pongs',
+        'Source:': 'Origen:',
+        'Loading...': 'Cargando...',
+        'Apply & Connect': 'Aplicar y conectar',
+        'Reset to Default': 'Restablecer valores predeterminados',
+        'Server': 'Servidor',
+        'Check now': 'Comprobar ahora',
+        'HTTP URL': 'URL HTTP',
+        'WebSocket URL': 'URL WebSocket',
+        'Status': 'Estado',
+        'Last check': 'Última comprobación',
+        'Version': 'Versión',
+        'Model': 'Modelo',
+        'Round trip': 'Ida y vuelta',
+        'Recent round-trip times, oldest first': 'Tiempos de ida y vuelta recientes, del más antiguo al más reciente',
+        'Streaming Metrics': 'Métricas de streaming',
+        'Reset': 'Restablecer',
+        'Audio sent': 'Audio enviado',
+        'Total sent': 'Total enviado',
+        'Socket buffer': 'Búfer del socket',
+        'Bytes queued in the WebSocket but not yet sent (bufferedAmount)': 'Bytes en cola en el WebSocket pero aún no enviados (bufferedAmount)',
+        'Throttled chunks': 'Bloques limitados',
+        'Chunks dropped by the 10 ms send throttle in the current recording': 'Bloques descartados por el límite de envío de 10 ms en la grabación actual',
+        'First partial': 'Primer parcial',
+        'Time from the start of speech (with voice detection) or the first audio sent to the first partial result of an utterance': 'Tiempo desde el inicio del habla (con detección de voz) o el primer audio enviado hasta el primer resultado parcial de una frase',
+        '{latency}, including silence before speech': '{latency}, incluido el silencio antes de hablar',
+        'Partial to final': 'De parcial a final',
+        'Time from an utterance\'s first partial result to its final result': 'Tiempo desde el primer resultado parcial de una frase hasta su resultado final',
+        'Reconnects': 'Reconexiones',
+        'Dropped connections that were re-established automatically': 'Conexiones perdidas que se restablecieron automáticamente',
+        'Notifications': 'Notificaciones',
+        'Clear': 'Borrar',
+        'No notifications yet': 'Aún no hay notificaciones',
+        'Dismiss': 'Descartar',
+        'First at {time}': 'Primera a las {time}',
+        'Session History': 'Historial de sesiones',
+        'No saved sessions yet': 'Aún no hay sesiones guardadas',
+        'Start Recording': 'Iniciar grabación',
+        'Stop Recording': 'Detener grabación',
+        '🎙️ Microphone:': '🎙️ Micrófono:',
+        'Default microphone': 'Micrófono predeterminado',
+        'Audio Level': 'Nivel de audio',
+        'Live Transcription': 'Transcripción en directo',
+        'Undo': 'Deshacer',
+        'Undo the last transcript edit (Ctrl+Z)': 'Deshacer la última edición de la transcripción (Ctrl+Z)',
+        'Redo': 'Rehacer',
+        'Redo (Ctrl+Shift+Z)': 'Rehacer (Ctrl+Mayús+Z)',
+        'Copy': 'Copiar',
+        'Copy the transcript as plain text': 'Copiar la transcripción como texto sin formato',
+        'Export SRT': 'Exportar SRT',
+        'Export VTT': 'Exportar VTT',
+        'Start recording to see live transcription...': 'Inicie una grabación para ver la transcripción en directo...',
+        'Download WAV': 'Descargar WAV',
+        'Upload Audio File': 'Subir archivo de audio',
+        'Drag & drop audio files or folders here or click to browse': 'Arrastre archivos o carpetas de audio aquí o haga clic para examinar',
+        'Transcribe Files': 'Transcribir archivos',
+        'Stream speed': 'Velocidad de streaming',
+        '1× (real time)': '1× (tiempo real)',
+        'Pace for streaming a queued file through the live connection': 'Ritmo al enviar un archivo de la cola por la conexión en directo',
+        'Retry failed': 'Reintentar fallidos',
+        'Clear finished': 'Quitar terminados',
+        'Keyboard Shortcuts': 'Atajos de teclado',
+        'Close (Escape)': 'Cerrar (Escape)',
+        'Click a shortcut and press a new key combination to change it. Shortcuts are ignored while typing in a field or editing the transcript.': 'Haga clic en un atajo y pulse una nueva combinación de teclas para cambiarlo. Los atajos se ignoran mientras escribe en un campo o edita la transcripción.',
+        'Reset to defaults': 'Restablecer valores predeterminados',
+        'Powered by OpenAI Whisper • Real-time streaming transcription': 'Con la tecnología de OpenAI Whisper • Transcripción en streaming en tiempo real',
+        'Hide': 'Ocultar',
+        'Connected to Whisper Flow': 'Conectado a Whisper Flow',
+        'Connection failed': 'Error de conexión',
+        'Connection failed after 1 attempt': 'Error de conexión tras 1 intento',
+        'Connection failed after {count} attempts': 'Error de conexión tras {count} intentos',
+        'Not connected': 'Sin conexión',
+        'Disconnected - reconnecting in {seconds}s (attempt {attempt})': 'Desconectado - reconectando en {seconds} s (intento {attempt})',
+        'Server unreachable - waiting for it to come back': 'Servidor inaccesible - esperando a que vuelva',
+        'Reconnecting (attempt {attempt})...': 'Reconectando (intento {attempt})...',
+        'Authentication failed - check the token in Settings': 'Error de autenticación - revise el token en Ajustes',
+        '{seconds}s audio pending': '{seconds} s de audio pendientes',
+        '{seconds}s dropped': '{seconds} s descartados',
+        'Audio Level: Low': 'Nivel de audio: bajo',
+        'Audio Level: Medium': 'Nivel de audio: medio',
+        'Audio Level: High': 'Nivel de audio: alto',
+        'Play from here': 'Reproducir desde aquí',
+        'Place the cursor where the line should be split': 'Coloque el cursor donde quiera dividir la línea',
+        '(off; enable it in the settings)': '(desactivado; actívelo en los ajustes)',
+        'Click, then press the new key combination': 'Haga clic y pulse la nueva combinación de teclas',
+        'Press keys…': 'Pulse teclas…',
+        'Recording...': 'Grabando...',
+        'Streaming file: {position} / {duration}': 'Enviando archivo: {position} / {duration}',
+        'Decoding file for streaming...': 'Decodificando archivo para el streaming...',
+        'Failed segment(s): {segments}': 'Segmentos fallidos: {segments}',
+        'Pending': 'Pendiente',
+        'Decoding': 'Decodificando',
+        'Uploading': 'Subiendo',
+        'segment {current} of {total}': 'segmento {current} de {total}',
+        'about {time} remaining': 'quedan unos {time}',
+        'Done with errors': 'Terminado con errores',
+        'Done': 'Terminado',
+        'Failed': 'Fallido',
+        'No speech detected': 'No se detectó voz',
+        'Uploads paused until the server settings change': 'Subidas en pausa hasta que cambie la configuración del servidor',
+        '1 file: {parts}': '1 archivo: {parts}',
+        '{count} files: {parts}': '{count} archivos: {parts}',
+        'Delete profile "{name}"?': '¿Eliminar el perfil «{name}»?',
+        'Auto-detect': 'Detección automática',
+        'Server URL must be a full http(s) or ws(s) URL without query string': 'La URL del servidor debe ser una URL http(s) o ws(s) completa sin cadena de consulta',
+        'Hostname must not contain spaces, slashes or "@"': 'El host no puede contener espacios, barras ni «@»',
+        'Hostname is required': 'El host es obligatorio',
+        'Port must be empty or a number between 1 and 65535': 'El puerto debe estar vacío o ser un número entre 1 y 65535',
+        'Base path must start with "/"': 'La ruta base debe empezar por «/»',
+        'WebSocket, HTTP and health paths must start with "/" and have no query string': 'Las rutas WebSocket, HTTP y de estado deben empezar por «/» y no tener cadena de consulta',
+        'Segment length must be between 5 and 600 seconds': 'La duración del segmento debe estar entre 5 y 600 segundos',
+        'Segment overlap must be at least 0 and shorter than the segment': 'El solapamiento debe ser al menos 0 y menor que el segmento',
+        'Parallel files must be between 1 and 8': 'Los archivos en paralelo deben estar entre 1 y 8',
+        'Channel must be a number starting at 1': 'El canal debe ser un número a partir de 1',
+        'Voice threshold must be between 0 and 1': 'El umbral de voz debe estar entre 0 y 1',
+        'Hangover and pre-roll must be 0 or more milliseconds': 'La retención y el pre-roll deben ser de 0 o más milisegundos',
+        'Auto-stop must be 0 or more seconds': 'La parada automática debe ser de 0 o más segundos',
+        'Enter a token or set authentication to None': 'Introduzca un token o establezca la autenticación en Ninguna',
+        'API key header must be a valid header name, e.g. X-API-Key': 'La cabecera de la clave debe ser un nombre de cabecera válido, p. ej. X-API-Key',
+        'This token has characters a WebSocket subprotocol cannot carry; send it as a query parameter instead': 'Este token tiene caracteres que un subprotocolo WebSocket no puede transportar; envíelo como parámetro de consulta',
+        'Query parameter name is required': 'El nombre del parámetro de consulta es obligatorio',
+        'Outage buffer must be between 0 and 600 seconds': 'El búfer de cortes debe estar entre 0 y 600 segundos',
+        'Health check interval must be 0 (off) or between 2 and 3600 seconds': 'El intervalo de comprobación debe ser 0 (desactivado) o estar entre 2 y 3600 segundos',
+        'Reconnect attempts must be between 0 (unlimited) and 1000': 'Los intentos de reconexión deben estar entre 0 (ilimitados) y 1000',
+        'Heartbeat interval must be 0 (off) or between 5 and 300 seconds': 'El intervalo de latido debe ser 0 (desactivado) o estar entre 5 y 300 segundos',
+        'Configuration Error: {message}': 'Error de configuración: {message}',
+        'Configuration: {message}': 'Configuración: {message}',
+        'Hide Settings': 'Ocultar ajustes',
+        'Upload': 'Subida',
+        'Stream': 'Streaming',
+        'Recording': 'Grabación',
+        '1 line': '1 línea',
+        '{count} lines': '{count} líneas',
+        'Session name:': 'Nombre de la sesión:',
+        'Delete session "{title}"? This cannot be undone.': '¿Eliminar la sesión «{title}»? No se puede deshacer.',
+        'Health: off': 'Estado: desactivado',
+        'Server OK • {latency} ms': 'Servidor OK • {latency} ms',
+        'Server error': 'Error del servidor',
+        'Server down': 'Servidor caído',
+        'Healthy ({status})': 'Correcto ({status})',
+        'Healthy': 'Correcto',
+        'Unhealthy: {error}': 'Con problemas: {error}',
+        '{latency} ms (min {min}, avg {avg}, max {max})': '{latency} ms (mín. {min}, media {avg}, máx. {max})',
+        'failed': 'fallido',
+        '{last} ms (avg {avg} ms, max {max} ms)': '{last} ms (media {avg} ms, máx. {max} ms)',
+        '{rate} chunks/s • {bytes}/s': '{rate} bloques/s • {bytes}/s',
+        '{count} chunks • {bytes}': '{count} bloques • {bytes}',
+        'Failed to initialize application: {error}': 'No se pudo iniciar la aplicación: {error}',
+        'Microphone access denied. Please allow microphone access and refresh the page.': 'Acceso al micrófono denegado. Permita el acceso al micrófono y recargue la página.',
+        'Session history is unavailable: {error}': 'El historial de sesiones no está disponible: {error}',
+        'Failed to save session: {error}': 'No se pudo guardar la sesión: {error}',
+        'There is no next line to merge with': 'No hay una línea siguiente con la que unir',
+        'Place the cursor inside the text to split the line': 'Coloque el cursor dentro del texto para dividir la línea',
+        'No finalized transcription to copy': 'No hay transcripción terminada que copiar',
+        'Transcript copied': 'Transcripción copiada',
+        'Failed to copy transcript: {error}': 'No se pudo copiar la transcripción: {error}',
+        'Microphone: {name}': 'Micrófono: {name}',
+        'Failed to switch microphone: {error}': 'No se pudo cambiar de micrófono: {error}',
+        'Microphone "{lost}" disconnected. Switched to {name}': 'Micrófono «{lost}» desconectado. Se cambió a {name}',
+        'Microphone "{lost}" disconnected and no other microphone is available': 'Micrófono «{lost}» desconectado y no hay otro micrófono disponible',
+        'Server error ({code}): {message}': 'Error del servidor ({code}): {message}',
+        'Server error: {message}': 'Error del servidor: {message}',
+        'Server sent an unrecognised "{type}" message. The server may be newer than this frontend': 'El servidor envió un mensaje «{type}» desconocido. Puede que el servidor sea más reciente que este frontend',
+        'Server sent an unrecognised message. The server may be newer than this frontend': 'El servidor envió un mensaje desconocido. Puede que el servidor sea más reciente que este frontend',
+        'Protocol error: {problem}': 'Error de protocolo: {problem}',
+        'Connected to Whisper Flow server': 'Conectado al servidor de Whisper Flow',
+        'Disconnected from Whisper Flow server. Recording continues and audio will be sent on reconnect': 'Desconectado del servidor de Whisper Flow. La grabación continúa y el audio se enviará al reconectar',
+        'Disconnected from Whisper Flow server': 'Desconectado del servidor de Whisper Flow',
+        'Failed to reconnect: {error}': 'No se pudo reconectar: {error}',
+        'Audio buffer is full. The oldest unsent audio is being discarded': 'El búfer de audio está lleno. Se descarta el audio no enviado más antiguo',
+        'Connection error: {error}': 'Error de conexión: {error}',
+        'Recording stopped after {seconds} seconds of silence': 'Grabación detenida tras {seconds} segundos de silencio',
+        'Stop streaming the file before recording': 'Detenga el envío del archivo antes de grabar',
+        'Not connected to server': 'Sin conexión con el servidor',
+        'Failed to start recording: {error}': 'No se pudo iniciar la grabación: {error}',
+        'Recording started': 'Grabación iniciada',
+        'Recording stopped': 'Grabación detenida',
+        'Stop the current recording or stream first': 'Detenga primero la grabación o el envío actual',
+        'Finished streaming {name}': 'Envío de {name} terminado',
+        'Streaming stopped': 'Envío detenido',
+        'Failed to stream {name}: {error}': 'No se pudo enviar {name}: {error}',
+        'Transcript cleared. Undo restores it': 'Transcripción borrada. Deshacer la restaura',
+        '{combo} is already used for "{action}"': '{combo} ya se usa para «{action}»',
+        'Failed to save shortcuts: {error}': 'No se pudieron guardar los atajos: {error}',
+        'Failed to read dropped files: {error}': 'No se pudieron leer los archivos soltados: {error}',
+        'Please select audio files': 'Seleccione archivos de audio',
+        'Queued 1 file': '1 archivo en cola',
+        'Queued {count} files': '{count} archivos en cola',
+        'skipped 1 non-audio file': 'se omitió 1 archivo que no es de audio',
+        'skipped {count} non-audio files': 'se omitieron {count} archivos que no son de audio',
+        'Connected to {server} using {model}': 'Conectado a {server} con {model}',
+        'Reset to default configuration': 'Configuración predeterminada restablecida',
+        'Switched to profile {name}': 'Se cambió al perfil {name}',
+        'New profile name:': 'Nombre del nuevo perfil:',
+        'Created profile {name}. Click "Apply & Connect" to use it': 'Perfil {name} creado. Haga clic en «Aplicar y conectar» para usarlo',
+        'Profile name:': 'Nombre del perfil:',
+        'Renamed profile to {name}': 'Perfil renombrado a {name}',
+        'Deleted profile {name}': 'Perfil {name} eliminado',
+        'No saved profiles to export': 'No hay perfiles guardados que exportar',
+        'Exported profiles': 'Perfiles exportados',
+        'Imported {count} profile(s)': '{count} perfil(es) importado(s)',
+        'skipped invalid: {names}': 'no válidos omitidos: {names}',
+        'No files queued': 'No hay archivos en cola',
+        'Transcribing 1 file...': 'Transcribiendo 1 archivo...',
+        'Transcribing {count} files...': 'Transcribiendo {count} archivos...',
+        'All segments failed': 'Todos los segmentos fallaron',
+        '1 file failed to transcribe': 'No se pudo transcribir 1 archivo',
+        '{count} files failed to transcribe': 'No se pudieron transcribir {count} archivos',
+        'All files transcribed': 'Todos los archivos transcritos',
+        'Opened transcript: {name}': 'Transcripción abierta: {name}',
+        'Session not found': 'Sesión no encontrada',
+        'Opened session: {title}': 'Sesión abierta: {title}',
+        'Failed to open session: {error}': 'No se pudo abrir la sesión: {error}',
+        'Failed to rename session: {error}': 'No se pudo renombrar la sesión: {error}',
+        'Deleted session: {title}': 'Sesión eliminada: {title}',
+        'Failed to delete session: {error}': 'No se pudo eliminar la sesión: {error}',
+        'No finalized transcription to export': 'No hay transcripción terminada que exportar',
+        'Exported {format} subtitles': 'Subtítulos {format} exportados',
+        'Merge with the next line': 'Unir con la línea siguiente',
+        'Split at the cursor (Enter)': 'Dividir en el cursor (Intro)',
+        'Delete line': 'Eliminar línea',
+        'Move up': 'Subir',
+        'Move down': 'Bajar',
+        'Open': 'Abrir',
+        'Show in the transcript view': 'Mostrar en la vista de transcripción',
+        'Retry': 'Reintentar',
+        'Transcribe again': 'Volver a transcribir',
+        'Replay through the live connection, like microphone input': 'Reproducir por la conexión en directo, como la entrada del micrófono',
+        'Remove from the queue': 'Quitar de la cola',
+        '{count} done': '{count} terminados',
+        '{count} decoding': '{count} decodificando',
+        '{count} uploading': '{count} subiendo',
+        '{count} pending': '{count} pendientes',
+        '{count} failed': '{count} fallidos',
+        'Start or stop recording': 'Iniciar o detener la grabación',
+        'Start recording': 'Iniciar la grabación',
+        'Stop recording': 'Detener la grabación',
+        'Push-to-talk (hold to record)': 'Pulsar para hablar (mantener para grabar)',
+        'Clear the transcript': 'Borrar la transcripción',
+        'Copy the transcript': 'Copiar la transcripción',
+        'Show or hide settings': 'Mostrar u ocultar los ajustes',
+        'Show this help': 'Mostrar esta ayuda'
+    }
+};
+
+// Export for use in other modules
+export { I18n };
@@ -0,0 +1,150 @@
+/**
+ * Streaming metrics for Whisper Flow frontend
+ * Tracks throughput, result latency and reconnects while streaming to the server
+ */
+
+class StreamMetrics {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 5000; // Rates are averaged over this window
+        this.sampleSize = options.sampleSize || 50; // Latency samples kept for averages
+        this.reset();
+    }
+
+    /**
+     * Forget everything measured so far
+     */
+    reset() {
+        this.startedAt = performance.now();
+        this.recentSends = []; // { time, bytes } within the rate window
+        this.totalChunks = 0;
+        this.totalBytes = 0;
+        this.reconnects = 0;
+        this.firstPartialLatencies = []; // ms from the start of an utterance to its first partial
+        this.firstPartialIncludesSilence = false; // The last sample was timed from audio sent, not from detected speech
+        this.finalLatencies = []; // ms from an utterance's first partial to its final
+        this.resetUtterance();
+    }
+
+    /**
+     * Start timing a new utterance, e.g. when recording starts or stops
+     */
+    resetUtterance() {
+        this.utteranceSentAt = null; // First audio sent since the previous final
+        this.utteranceSpeechAt = null; // First chunk the VAD judged speech since the previous final
+        this.firstPartialAt = null;
+    }
+
+    /**
+     * Record an audio chunk sent to the server
+     */
+    recordAudioSent(bytes) {
+        const now = performance.now();
+        this.recentSends.push({ time: now, bytes: bytes });
+        this.totalChunks++;
+        this.totalBytes += bytes;
+
+        if (this.utteranceSentAt === null) {
+            this.utteranceSentAt = now;
+        }
+        this.prune(now);
+    }
+
+    /**
+     * Record an audio chunk the VAD judged speech
+     */
+    recordSpeech() {
+        if (this.utteranceSpeechAt === null) {
+            this.utteranceSpeechAt = performance.now();
+        }
+    }
+
+    /**
+     * Record a partial result; only the first one of an utterance is timed
+     * The utterance starts at detected speech when the VAD runs, so silence sent
+     * before it isn't counted; otherwise it starts at the first audio sent
+     */
+    recordPartial() {
+        if (this.firstPartialAt !== null || this.utteranceSentAt === null) return;
+
+        const fromSpeech = this.utteranceSpeechAt !== null;
+        this.firstPartialAt = performance.now();
+        this.firstPartialIncludesSilence = !fromSpeech;
+        this.addSample(this.firstPartialLatencies, this.firstPartialAt - (fromSpeech ? this.utteranceSpeechAt : this.utteranceSentAt));
+    }
+
+    /**
+     * Record a final result, ending the utterance
+     */
+    recordFinal() {
+        if (this.firstPartialAt !== null) {
+            this.addSample(this.finalLatencies, performance.now() - this.firstPartialAt);
+        }
+        this.resetUtterance();
+    }
+
+    /**
+     * Record a dropped connection that is being re-established
+     */
+    recordReconnect() {
+        this.reconnects++;
+    }
+
+    /**
+     * Get current rates, totals and latency summaries
+     */
+    getSnapshot() {
+        const now = performance.now();
+        this.prune(now);
+
+        // Average over the time measured so far until a full window has passed
+        const seconds = Math.max(Math.min(this.windowMs, now - this.startedAt), 1000) / 1000;
+        const windowBytes = this.recentSends.reduce((sum, send) => sum + send.bytes, 0);
+
+        return {
+            chunksPerSecond: this.recentSends.length / seconds,
+            bytesPerSecond: windowBytes / seconds,
+            totalChunks: this.totalChunks,
+            totalBytes: this.totalBytes,
+            reconnects: this.reconnects,
+            firstPartialLatency: StreamMetrics.summarize(this.firstPartialLatencies),
+            firstPartialIncludesSilence: this.firstPartialIncludesSilence,
+            finalLatency: StreamMetrics.summarize(this.finalLatencies)
+        };
+    }
+
+    /**
+     * Drop sends that fell out of the rate window
+     */
+    prune(now) {
+        while (this.recentSends.length > 0 && now - this.recentSends[0].time > this.windowMs) {
+            this.recentSends.shift();
+        }
+    }
+
+    /**
+     * Keep a latency sample, discarding the oldest beyond the sample size
+     */
+    addSample(samples, value) {
+        samples.push(Math.round(value));
+        if (samples.length > this.sampleSize) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * Last, average and maximum of a list of samples, or null if empty
+     */
+    static summarize(samples) {
+        if (samples.length === 0) return null;
+
+        return {
+            last: samples[samples.length - 1],
+            avg: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+            max: Math.max(...samples),
+            count: samples.length
+        };
+    }
+}
+
+// Export for use in other modules
+export { StreamMetrics };
@@ -0,0 +1,159 @@
+/**
+ * Notification center for Whisper Flow frontend
+ * Keeps the visible notifications and a history of recent ones, collapsing repeats
+ */
+
+class NotificationCenter {
+    constructor(options = {}) {
+        this.maxVisible = options.maxVisible || 5; // Toasts shown at once; the oldest make way for new ones
+        this.historySize = options.historySize || 50;
+        this.active = []; // Visible notifications, oldest first
+        this.history = []; // Recent notifications, newest first, including dismissed ones
+        this.unread = 0; // Notifications added since the history was last viewed
+        this.timers = new Map(); // Notification id -> auto-dismiss timer
+        this.nextId = 1;
+        this.onChange = null; // Callback after any change
+    }
+
+    /**
+     * Show a notification, or count it against a visible one with the same severity and message
+     * Errors stay until dismissed unless options.sticky is false; other severities time out
+     */
+    notify(severity, message, options = {}) {
+        if (!NotificationCenter.SEVERITIES.includes(severity)) {
+            severity = 'info';
+        }
+        const sticky = options.sticky !== undefined ? options.sticky : severity === 'error';
+        const now = Date.now();
+
+        let notification = this.active.find(entry => entry.severity === severity && entry.message === message);
+        if (notification) {
+            notification.count++;
+            notification.lastAt = now;
+            notification.sticky = notification.sticky || sticky;
+        } else {
+            notification = {
+                id: this.nextId++,
+                severity: severity,
+                message: message,
+                count: 1,
+                firstAt: now,
+                lastAt: now,
+                sticky: sticky,
+                dismissed: false
+            };
+            this.active.push(notification);
+            this.history.unshift(notification);
+            this.history.length = Math.min(this.history.length, this.historySize);
+            this.trimVisible();
+        }
+        this.unread++;
+
+        // A repeat restarts the countdown, so a message that keeps coming back stays visible
+        this.clearTimer(notification.id);
+        if (!notification.sticky) {
+            const duration = options.duration || NotificationCenter.DURATIONS[severity];
+            this.timers.set(notification.id, setTimeout(() => this.dismiss(notification.id), duration));
+        }
+
+        this.notifyChange();
+        return notification;
+    }
+
+    /**
+     * Make room for a new notification, dismissing the oldest timed ones before sticky ones
+     */
+    trimVisible() {
+        while (this.active.length > this.maxVisible) {
+            const oldest = this.active.find(entry => !entry.sticky) || this.active[0];
+            this.remove(oldest);
+        }
+    }
+
+    /**
+     * Hide a notification; it stays in the history
+     */
+    dismiss(id) {
+        const notification = this.active.find(entry => entry.id === id);
+        if (!notification) return;
+
+        this.remove(notification);
+        this.notifyChange();
+    }
+
+    /**
+     * Hide every visible notification
+     */
+    dismissAll() {
+        if (this.active.length === 0) return;
+
+        this.active.slice().forEach(notification => this.remove(notification));
+        this.notifyChange();
+    }
+
+    /**
+     * Take a notification off the visible list
+     */
+    remove(notification) {
+        this.clearTimer(notification.id);
+        notification.dismissed = true;
+        this.active = this.active.filter(entry => entry !== notification);
+    }
+
+    /**
+     * Cancel a notification's auto-dismiss timer
+     */
+    clearTimer(id) {
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+    }
+
+    /**
+     * Forget the history; visible notifications are kept
+     */
+    clearHistory() {
+        this.history = this.history.filter(notification => !notification.dismissed);
+        this.unread = 0;
+        this.notifyChange();
+    }
+
+    /**
+     * Record that the history has been viewed
+     */
+    markRead() {
+        if (this.unread === 0) return;
+
+        this.unread = 0;
+        this.notifyChange();
+    }
+
+    /**
+     * Report a change
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Set callback for notification changes
+     */
+    setChangeCallback(callback) {
+        this.onChange = callback;
+    }
+}
+
+// Severity levels, most severe first
+NotificationCenter.SEVERITIES = ['error', 'warning', 'success', 'info'];
+
+// How long timed notifications stay visible, in milliseconds
+NotificationCenter.DURATIONS = {
+    error: 8000,
+    warning: 6000,
+    success: 3000,
+    info: 4000
+};
+
+// Export for use in other modules
+export { NotificationCenter };
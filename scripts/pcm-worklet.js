@@ -0,0 +1,73 @@
+/**
+ * AudioWorklet processor for Whisper Flow frontend
+ * Frames microphone input into 16-bit PCM chunks off the main thread
+ */
+
+class PCMCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const processorOptions = (options && options.processorOptions) || {};
+        this.chunkSize = processorOptions.chunkSize || 1024; // Samples per posted chunk
+        this.buffer = new Float32Array(this.chunkSize);
+        this.bufferOffset = 0;
+        this.isRecording = false;
+
+        // Recording state is driven from the main thread
+        this.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'start') {
+                this.isRecording = true;
+                this.bufferOffset = 0;
+            } else if (message.type === 'stop') {
+                this.isRecording = false;
+                this.bufferOffset = 0;
+            }
+        };
+    }
+
+    /**
+     * Accumulate render quanta until a full chunk is available
+     */
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.isRecording || !input || input.length === 0) {
+            return true;
+        }
+
+        const channelData = input[0];
+        let readOffset = 0;
+
+        while (readOffset < channelData.length) {
+            const count = Math.min(
+                channelData.length - readOffset,
+                this.chunkSize - this.bufferOffset
+            );
+            this.buffer.set(channelData.subarray(readOffset, readOffset + count), this.bufferOffset);
+            this.bufferOffset += count;
+            readOffset += count;
+
+            if (this.bufferOffset === this.chunkSize) {
+                this.postChunk();
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Convert the buffered float32 samples to int16 PCM and transfer them to the main thread
+     */
+    postChunk() {
+        const int16Array = new Int16Array(this.chunkSize);
+        for (let i = 0; i < this.chunkSize; i++) {
+            const sample = Math.max(-1, Math.min(1, this.buffer[i]));
+            int16Array[i] = sample >= 0 ?
+                Math.round(sample * 32767) :
+                Math.round(sample * 32768);
+        }
+        this.bufferOffset = 0;
+        this.port.postMessage(int16Array.buffer, [int16Array.buffer]);
+    }
+}
+
+registerProcessor('pcm-capture-processor', PCMCaptureProcessor);
@@ -0,0 +1,141 @@
+/**
+ * Server message protocol for Whisper Flow frontend
+ * Validates incoming WebSocket frames and turns them into typed messages
+ */
+
+class ProtocolParser {
+    constructor() {
+        this.serverVersion = null; // Protocol version reported by the server, if any
+    }
+
+    /**
+     * Parse one frame into a message with a type of 'partial', 'final', 'error',
+     * 'info', 'pong', 'unknown' or 'invalid'
+     *
+     * Version 1 frames are JSON objects. Transcripts either carry a type
+     * ('partial' or 'final') or use the original untyped form
+     * { is_partial, data: { text, segments } }. Other types are
+     * { type: 'error', message, code }, { type: 'info', message } and { type: 'pong' }.
+     * Any frame may include the protocol version as { version: 1 }.
+     */
+    parse(frame) {
+        if (typeof frame !== 'string') {
+            return this.invalid('Received a binary frame; expected JSON text', frame);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(frame);
+        } catch (error) {
+            return this.invalid('Frame is not valid JSON', frame);
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return this.invalid('Frame is not a JSON object', data);
+        }
+
+        const versionProblem = this.checkVersion(data.version);
+        if (versionProblem) {
+            return { type: 'invalid', problem: versionProblem, versionMismatch: true, raw: data };
+        }
+
+        const type = data.type !== undefined ? data.type : ProtocolParser.inferType(data);
+        switch (type) {
+            case 'partial':
+            case 'final':
+                return this.parseTranscript(type, data);
+            case 'error':
+                return {
+                    type: 'error',
+                    message: ProtocolParser.describe(data.message || data.error || data.detail, 'Unknown server error'),
+                    code: data.code !== undefined ? data.code : null,
+                    raw: data
+                };
+            case 'info':
+            case 'status':
+                return {
+                    type: 'info',
+                    message: ProtocolParser.describe(data.message || data.status, ''),
+                    raw: data
+                };
+            case 'pong':
+                return { type: 'pong', raw: data };
+            default:
+                return { type: 'unknown', messageType: type === null ? null : String(type), raw: data };
+        }
+    }
+
+    /**
+     * Work out the type of a frame without a type field
+     * Older servers send only transcripts and errors
+     */
+    static inferType(data) {
+        if (typeof data.is_partial === 'boolean' && data.data !== undefined) {
+            return data.is_partial ? 'partial' : 'final';
+        }
+        if (data.error !== undefined) {
+            return 'error';
+        }
+        return null;
+    }
+
+    /**
+     * Validate a transcript frame
+     */
+    parseTranscript(type, data) {
+        const result = data.data;
+        if (!result || typeof result !== 'object' || typeof result.text !== 'string') {
+            return this.invalid(`"${type}" message has no data.text string`, data);
+        }
+        if (result.segments !== undefined && !Array.isArray(result.segments)) {
+            return this.invalid(`"${type}" message has a data.segments value that is not a list`, data);
+        }
+
+        return {
+            type: type,
+            text: result.text.trim(),
+            segments: result.segments || [],
+            language: typeof result.language === 'string' ? result.language : null,
+            raw: data
+        };
+    }
+
+    /**
+     * Check the version a frame declares, returning a problem description if unsupported
+     */
+    checkVersion(version) {
+        if (version === undefined) return null;
+
+        if (!Number.isInteger(version) || version < 1) {
+            return `Server sent an invalid protocol version: ${JSON.stringify(version)}`;
+        }
+
+        this.serverVersion = version;
+        if (!ProtocolParser.SUPPORTED_VERSIONS.includes(version)) {
+            return `Server uses protocol version ${version}, but this frontend supports version ` +
+                `${ProtocolParser.SUPPORTED_VERSIONS.join(', ')}. Update the frontend or the server`;
+        }
+        return null;
+    }
+
+    /**
+     * Build an 'invalid' message
+     */
+    invalid(problem, raw) {
+        return { type: 'invalid', problem: problem, versionMismatch: false, raw: raw };
+    }
+
+    /**
+     * Turn a message field into readable text
+     */
+    static describe(value, fallback) {
+        if (value === undefined || value === null || value === '') return fallback;
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+}
+
+// Protocol versions this frontend understands
+ProtocolParser.SUPPORTED_VERSIONS = [1];
+
+// Export for use in other modules
+export { ProtocolParser };
@@ -0,0 +1,290 @@
+/**
+ * File transcription queue for Whisper Flow frontend
+ * Runs several uploaded files through transcription with per-file status
+ */
+
+class TranscriptionQueue {
+    constructor(processFile, options = {}) {
+        this.processFile = processFile; // async (item, update) => result; update({ status, progress, label })
+        this.concurrency = options.concurrency || 1;
+        this.items = []; // In queue order: { id, file, name, status, progress, label, result, error }
+        this.activeCount = 0;
+        this.isRunning = false; // Set by start(); cleared when nothing is left to do or a pause takes effect
+        this.isPaused = false; // Set by pause(); cleared by start()
+        this.nextId = 1;
+        this.onChange = null; // Callback after any item or queue change
+    }
+
+    /**
+     * Add files as pending items
+     * Each entry is a File or { file, name } where name is e.g. a path inside a dropped folder
+     */
+    add(entries) {
+        const added = entries.map(entry => {
+            const file = entry instanceof File ? entry : entry.file;
+            return {
+                id: this.nextId++,
+                file: file,
+                name: entry.name || file.name,
+                status: 'pending', // 'pending', 'decoding', 'uploading', 'done' or 'failed'
+                progress: null,
+                label: null,
+                result: null,
+                error: null
+            };
+        });
+
+        this.items.push(...added);
+        this.notifyChange();
+        this.pump();
+        return added;
+    }
+
+    /**
+     * Start working through pending items
+     */
+    start() {
+        this.isRunning = true;
+        this.isPaused = false;
+        this.pump();
+        this.notifyChange();
+    }
+
+    /**
+     * Stop starting pending items; items already being processed finish, then the run ends
+     * with isPaused still set, so listeners can tell a paused run from a finished one
+     */
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+
+        this.isPaused = true;
+        this.notifyChange();
+    }
+
+    /**
+     * Change how many files are processed at once
+     */
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, concurrency);
+        this.pump();
+    }
+
+    /**
+     * Remove an item that is not being processed
+     */
+    remove(id) {
+        const index = this.items.findIndex(item => item.id === id);
+        if (index === -1 || TranscriptionQueue.isActive(this.items[index])) return false;
+
+        this.items.splice(index, 1);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Move an item up (-1) or down (+1) in the queue
+     */
+    move(id, offset) {
+        const index = this.items.findIndex(item => item.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.items.length) return false;
+
+        const [item] = this.items.splice(index, 1);
+        this.items.splice(target, 0, item);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Queue a failed item again and resume processing
+     */
+    retry(id) {
+        const item = this.getItem(id);
+        if (!item || item.status !== 'failed') return false;
+
+        this.resetItem(item);
+        this.start();
+        return true;
+    }
+
+    /**
+     * Queue every failed item again
+     */
+    retryFailed() {
+        const failed = this.items.filter(item => item.status === 'failed');
+        failed.forEach(item => this.resetItem(item));
+        if (failed.length > 0) {
+            this.start();
+        }
+        return failed.length;
+    }
+
+    /**
+     * Remove finished items, keeping pending, active and failed ones
+     */
+    clearFinished() {
+        this.items = this.items.filter(item => item.status !== 'done');
+        this.notifyChange();
+    }
+
+    /**
+     * Find an item by id
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Count items by status
+     */
+    getCounts() {
+        const counts = { pending: 0, decoding: 0, uploading: 0, done: 0, failed: 0 };
+        this.items.forEach(item => {
+            counts[item.status]++;
+        });
+        return counts;
+    }
+
+    /**
+     * Start pending items, in queue order, until the concurrency limit is reached
+     */
+    pump() {
+        if (!this.isRunning) return;
+
+        while (!this.isPaused && this.activeCount < this.concurrency) {
+            const item = this.items.find(candidate => candidate.status === 'pending');
+            if (!item) break;
+            this.run(item);
+        }
+
+        if (this.activeCount === 0) {
+            this.isRunning = false;
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Process one item
+     */
+    async run(item) {
+        this.activeCount++;
+        item.status = 'decoding';
+        this.notifyChange();
+
+        try {
+            item.result = await this.processFile(item, update => {
+                Object.assign(item, update);
+                this.notifyChange();
+            });
+            item.status = 'done';
+        } catch (error) {
+            console.error(`Failed to transcribe ${item.name}:`, error);
+            item.status = 'failed';
+            item.error = error;
+        }
+
+        this.activeCount--;
+        this.notifyChange();
+        this.pump();
+    }
+
+    /**
+     * Return an item to the pending state
+     */
+    resetItem(item) {
+        item.status = 'pending';
+        item.progress = null;
+        item.label = null;
+        item.result = null;
+        item.error = null;
+    }
+
+    /**
+     * Report a change
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Set callback for queue changes
+     */
+    setChangeCallback(callback) {
+        this.onChange = callback;
+    }
+
+    /**
+     * Whether an item is being processed
+     */
+    static isActive(item) {
+        return item.status === 'decoding' || item.status === 'uploading';
+    }
+
+    /**
+     * Whether a file looks like audio; files from dropped folders often have no MIME type
+     */
+    static isAudioFile(file) {
+        if (file.type) {
+            return file.type.startsWith('audio/') || file.type === 'video/webm';
+        }
+        const extension = file.name.split('.').pop().toLowerCase();
+        return TranscriptionQueue.AUDIO_EXTENSIONS.includes(extension);
+    }
+
+    /**
+     * Collect the files from a drop, walking into dropped folders
+     * Resolves with { file, name } entries, where name is the path for files inside folders
+     */
+    static async collectDroppedFiles(dataTransfer) {
+        // Entries must be read before the drop event handler returns
+        const items = Array.from(dataTransfer.items || []);
+        const entries = items
+            .map(item => item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(entry => entry);
+
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files).map(file => ({ file: file, name: file.name }));
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            await TranscriptionQueue.readEntry(entry, files);
+        }
+        return files;
+    }
+
+    /**
+     * Add a file entry, or every file below a directory entry, to the list
+     */
+    static async readEntry(entry, files) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file: file, name: entry.fullPath.replace(/^\//, '') });
+            return;
+        }
+
+        if (!entry.isDirectory) return;
+
+        // readEntries returns children in batches until it returns an empty list
+        const reader = entry.createReader();
+        const children = [];
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            children.push(...batch);
+        }
+
+        children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        for (const child of children) {
+            await TranscriptionQueue.readEntry(child, files);
+        }
+    }
+}
+
+// Extensions accepted when a dropped file has no MIME type
+TranscriptionQueue.AUDIO_EXTENSIONS = ['wav', 'mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac', 'webm', 'weba'];
+
+// Export for use in other modules
+export { TranscriptionQueue };
@@ -0,0 +1,335 @@
+/**
+ * <whisper-flow-recorder> custom element for Whisper Flow frontend
+ * Self-contained live transcription widget for embedding in other pages
+ */
+
+import { WhisperFlowConfig } from './config.js';
+import { AudioProcessor } from './audio.js';
+import { WhisperWebSocket } from './websocket.js';
+
+/**
+ * Server settings come from attributes and are never saved, so every instance can talk
+ * to its own server. The microphone is only opened when recording first starts.
+ *
+ * Events (CustomEvent, payload in event.detail, bubbling out of the shadow root):
+ *   partial        - { text }
+ *   final          - { text, start, end }, times in seconds since recording started
+ *   recordingstart - null
+ *   recordingstop  - { duration }
+ *   statechange    - { state }, the WebSocket connection state
+ *   whisper-error  - { error }, named so it isn't confused with script or resource errors
+ */
+class WhisperFlowRecorder extends HTMLElement {
+    static get observedAttributes() {
+        return Object.keys(WhisperFlowRecorder.ATTRIBUTES);
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.config = new WhisperFlowConfig({ persist: false }); // Attributes are applied as they are set
+        this.audioProcessor = null;
+        this.audioReady = null; // Promise for the microphone being opened
+        this.websocket = null;
+        this.isRecording = false;
+        this.lines = []; // Final lines as { text, start, end }
+        this.utteranceStart = 0; // Recording position (seconds) where the current utterance began
+        this.elements = {};
+        this.render();
+    }
+
+    /**
+     * Create the connection when the element is added to a page
+     */
+    connectedCallback() {
+        if (this.websocket) return;
+
+        this.websocket = new WhisperWebSocket(this.config);
+        this.websocket.addEventListener('message', event => this.handleServerMessage(event.detail));
+        this.websocket.addEventListener('statechange', event => this.handleStateChange(event.detail));
+        this.websocket.addEventListener('error', event => this.reportError(event.detail.error));
+    }
+
+    /**
+     * Release the microphone and connection when the element is removed
+     */
+    disconnectedCallback() {
+        this.stop();
+
+        if (this.audioProcessor) {
+            this.audioProcessor.cleanup();
+            this.audioProcessor = null;
+            this.audioReady = null;
+        }
+        if (this.websocket) {
+            this.websocket.disconnect();
+            this.websocket = null;
+        }
+    }
+
+    /**
+     * Apply changed server settings; an open connection is replaced on the next recording
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+
+        const config = { ...this.config.getCurrentConfig(), ...this.getConfigFromAttributes() };
+        if (!this.config.validateConfig(config)) {
+            this.reportError(new Error(`Invalid value for ${name}: "${newValue}"`));
+            return;
+        }
+
+        this.config.updateConfig(config, 'instance');
+        if (this.websocket && this.websocket.state !== 'idle' && !this.isRecording) {
+            this.websocket.disconnect();
+        }
+    }
+
+    /**
+     * Read server settings from the element's attributes
+     */
+    getConfigFromAttributes() {
+        const config = {};
+        Object.entries(WhisperFlowRecorder.ATTRIBUTES).forEach(([attribute, field]) => {
+            if (!this.hasAttribute(attribute)) return;
+
+            const value = this.getAttribute(attribute).trim();
+            if (field === 'port') {
+                config.port = value === '' ? null : parseInt(value, 10);
+            } else {
+                config[field] = value;
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Build the shadow DOM
+     */
+    render() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host { display: block; font-family: inherit; }
+                .controls { display: flex; align-items: center; gap: 8px; }
+                .status { color: #666; font-size: 0.85em; }
+                .level { flex: 1; height: 6px; background: #eee; border-radius: 3px; overflow: hidden; }
+                .level-bar { height: 100%; width: 0; background: #4caf50; }
+                .transcript { margin-top: 8px; min-height: 2em; }
+                .transcript p { margin: 0 0 4px; }
+                .partial { color: #888; font-style: italic; }
+            </style>
+            <div class="controls" part="controls">
+                <button type="button" class="record" part="button">Record</button>
+                <div class="level"><div class="level-bar"></div></div>
+                <span class="status" part="status">Idle</span>
+            </div>
+            <div class="transcript" part="transcript">
+                <div class="lines"></div>
+                <p class="partial"></p>
+            </div>
+        `;
+
+        this.elements = {
+            button: this.shadowRoot.querySelector('.record'),
+            levelBar: this.shadowRoot.querySelector('.level-bar'),
+            status: this.shadowRoot.querySelector('.status'),
+            lines: this.shadowRoot.querySelector('.lines'),
+            partial: this.shadowRoot.querySelector('.partial')
+        };
+        this.elements.button.addEventListener('click', () => {
+            if (this.isRecording) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+    }
+
+    /**
+     * Open the microphone once and keep it for later recordings
+     */
+    openMicrophone() {
+        if (!this.audioReady) {
+            this.audioProcessor = new AudioProcessor();
+            this.audioProcessor.addEventListener('audiochunk', event => this.handleAudioChunk(event.detail.data));
+            this.audioProcessor.addEventListener('audiolevel', event => this.handleAudioLevel(event.detail.level));
+
+            const seconds = this.config.getCurrentConfig().outageBufferSeconds;
+            this.websocket.setAudioBufferCapacity(
+                Math.ceil(seconds * this.audioProcessor.sampleRate / this.audioProcessor.chunkSize));
+
+            this.audioReady = this.audioProcessor.initialize().catch(error => {
+                this.audioProcessor.cleanup();
+                this.audioProcessor = null;
+                this.audioReady = null;
+                throw error;
+            });
+        }
+        return this.audioReady;
+    }
+
+    /**
+     * Start recording, connecting to the server if needed
+     * Audio captured before the connection opens is buffered and sent once it does
+     */
+    async start() {
+        if (this.isRecording || !this.websocket) return;
+
+        try {
+            this.elements.button.disabled = true;
+            await this.openMicrophone();
+            if (this.websocket.state === 'idle' || this.websocket.state === 'failed') {
+                this.websocket.reconnect().catch(error => this.reportError(error));
+            }
+
+            this.isRecording = true;
+            this.utteranceStart = 0;
+            this.websocket.clearPendingAudio();
+            this.audioProcessor.startRecording();
+            this.updateButton();
+            this.emit('recordingstart');
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.reportError(error);
+        } finally {
+            this.elements.button.disabled = false;
+        }
+    }
+
+    /**
+     * Stop recording; the connection stays open for results still on their way
+     */
+    stop() {
+        if (!this.isRecording) return;
+
+        this.isRecording = false;
+        this.audioProcessor.stopRecording();
+        this.handleAudioLevel(0);
+        this.updateButton();
+        this.emit('recordingstop', { duration: this.audioProcessor.getCapturedDuration() });
+    }
+
+    /**
+     * Remove the transcript
+     */
+    clear() {
+        this.lines = [];
+        this.elements.lines.textContent = '';
+        this.elements.partial.textContent = '';
+    }
+
+    /**
+     * Get the final lines
+     */
+    get transcript() {
+        return this.lines.map(line => ({ ...line }));
+    }
+
+    /**
+     * Send microphone audio while recording
+     */
+    handleAudioChunk(audioChunk) {
+        if (this.isRecording) {
+            this.websocket.queueAudioChunk(audioChunk);
+        }
+    }
+
+    /**
+     * Show the input level
+     */
+    handleAudioLevel(level) {
+        this.elements.levelBar.style.width = `${Math.round(level * 100)}%`;
+    }
+
+    /**
+     * Show transcripts and fire them as events
+     */
+    handleServerMessage(message) {
+        switch (message.type) {
+            case 'partial':
+                if (message.text) {
+                    this.elements.partial.textContent = message.text;
+                    this.emit('partial', { text: message.text });
+                }
+                break;
+            case 'final':
+                if (message.text) {
+                    const end = this.audioProcessor ? this.audioProcessor.getCapturedDuration() : 0;
+                    const line = { text: message.text, start: this.utteranceStart, end: Math.max(this.utteranceStart, end) };
+                    this.utteranceStart = line.end;
+                    this.lines.push(line);
+
+                    const paragraph = document.createElement('p');
+                    paragraph.textContent = line.text;
+                    this.elements.lines.appendChild(paragraph);
+                    this.elements.partial.textContent = '';
+                    this.emit('final', { ...line });
+                }
+                break;
+            case 'error':
+                this.reportError(new Error(`Server error: ${message.message}`));
+                break;
+        }
+    }
+
+    /**
+     * Show the connection state
+     */
+    handleStateChange(status) {
+        this.elements.status.textContent = WhisperFlowRecorder.STATE_LABELS[status.state] || status.state;
+        this.emit('statechange', { state: status.state });
+    }
+
+    /**
+     * Update the record button for the recording state
+     */
+    updateButton() {
+        this.elements.button.textContent = this.isRecording ? 'Stop' : 'Record';
+        this.elements.button.classList.toggle('recording', this.isRecording);
+    }
+
+    /**
+     * Fire a whisper-error event
+     */
+    reportError(error) {
+        this.emit('whisper-error', { error: error });
+    }
+
+    /**
+     * Dispatch an event that crosses the shadow boundary
+     */
+    emit(type, detail = null) {
+        this.dispatchEvent(new CustomEvent(type, { detail: detail, bubbles: true, composed: true }));
+    }
+}
+
+// Attribute name -> configuration field
+WhisperFlowRecorder.ATTRIBUTES = {
+    'server-url': 'serverUrl',
+    'hostname': 'hostname',
+    'port': 'port',
+    'ws-scheme': 'wsScheme',
+    'base-path': 'basePath',
+    'ws-path': 'wsPath',
+    'model': 'model',
+    'language': 'language',
+    'auth-mode': 'authMode',
+    'auth-token': 'authToken',
+    'ws-auth-method': 'wsAuthMethod',
+    'ws-auth-param': 'wsAuthParam'
+};
+
+WhisperFlowRecorder.STATE_LABELS = {
+    idle: 'Idle',
+    connecting: 'Connecting…',
+    open: 'Connected',
+    reconnecting: 'Reconnecting…',
+    failed: 'Connection failed'
+};
+
+if (!customElements.get('whisper-flow-recorder')) {
+    customElements.define('whisper-flow-recorder', WhisperFlowRecorder);
+}
+
+// Export for use in other modules
+export { WhisperFlowRecorder };
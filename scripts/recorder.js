@@ -0,0 +1,111 @@
+/**
+ * Local recording for Whisper Flow frontend
+ * Keeps a copy of the captured microphone audio and encodes it as WAV
+ */
+
+class AudioRecorder {
+    constructor(sampleRate = 16000) {
+        this.sampleRate = sampleRate;
+        this.chunks = []; // Int16Array chunks in capture order
+        this.sampleCount = 0;
+        this.isRecording = false;
+        this.isStarted = false; // start() was called and the recording not cleared since
+    }
+
+    /**
+     * Start a new recording, discarding the previous one
+     */
+    start() {
+        this.clear();
+        this.isStarted = true;
+        this.isRecording = true;
+    }
+
+    /**
+     * Append a 16-bit PCM chunk (ArrayBuffer)
+     */
+    append(pcmData) {
+        if (!this.isRecording) return;
+
+        // Copy, since capture buffers may be reused or transferred
+        const samples = new Int16Array(pcmData.slice(0));
+        this.chunks.push(samples);
+        this.sampleCount += samples.length;
+    }
+
+    /**
+     * Stop recording and return the audio as a WAV blob, or null if nothing was captured
+     */
+    stop() {
+        this.isRecording = false;
+        if (this.sampleCount === 0) return null;
+
+        return AudioRecorder.encodeWAV(this.chunks, this.sampleCount, this.sampleRate);
+    }
+
+    /**
+     * Continue a stopped recording, appending to the audio kept so far, even if
+     * nothing was captured yet. Does nothing if no recording was started
+     */
+    resume() {
+        if (this.isStarted) {
+            this.isRecording = true;
+        }
+    }
+
+    /**
+     * Drop the recorded audio
+     */
+    clear() {
+        this.chunks = [];
+        this.sampleCount = 0;
+        this.isStarted = false;
+    }
+
+    /**
+     * Get the recorded duration in seconds
+     */
+    getDuration() {
+        return this.sampleCount / this.sampleRate;
+    }
+
+    /**
+     * Build a mono 16-bit PCM WAV file from Int16Array chunks
+     */
+    static encodeWAV(chunks, sampleCount, sampleRate) {
+        const dataSize = sampleCount * 2;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        // RIFF header followed by the fmt and data chunks
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // Mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true); // Byte rate
+        view.setUint16(32, 2, true); // Block align
+        view.setUint16(34, 16, true); // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        chunks.forEach(chunk => {
+            new Int16Array(buffer, offset, chunk.length).set(chunk);
+            offset += chunk.length * 2;
+        });
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+}
+
+// Export for use in other modules
+export { AudioRecorder };
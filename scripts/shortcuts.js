@@ -0,0 +1,257 @@
+/**
+ * Keyboard shortcuts for Whisper Flow frontend
+ * Maps configurable key combinations to actions, with an optional push-to-talk key
+ */
+
+class KeyboardShortcuts {
+    constructor(bindings = {}) {
+        this.bindings = {}; // Action id -> normalized combination, e.g. 'Shift+R'
+        this.pushToTalk = false; // Whether holding the push-to-talk key records
+        this.pushToTalkHeld = false;
+        this.enabled = true;
+        this.onAction = null; // Callback with the action id
+        this.onPushToTalk = null; // Callback with true on press and false on release
+        this.setBindings(bindings);
+    }
+
+    /**
+     * Start listening for keys
+     */
+    attach(target = document) {
+        target.addEventListener('keydown', event => this.handleKeyDown(event));
+        target.addEventListener('keyup', event => this.handleKeyUp(event));
+
+        // The key-up is never seen if the window loses focus while the key is held
+        window.addEventListener('blur', () => this.releasePushToTalk());
+    }
+
+    /**
+     * Replace the key bindings
+     */
+    setBindings(bindings) {
+        this.bindings = {};
+        Object.entries(bindings).forEach(([action, combo]) => {
+            this.bindings[action] = KeyboardShortcuts.normalize(combo);
+        });
+    }
+
+    /**
+     * Turn push-to-talk mode on or off
+     */
+    setPushToTalk(enabled) {
+        if (!enabled) {
+            this.releasePushToTalk();
+        }
+        this.pushToTalk = enabled;
+    }
+
+    /**
+     * Pause or resume shortcut handling, e.g. while a dialog captures keys
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            this.releasePushToTalk();
+        }
+        this.enabled = enabled;
+    }
+
+    /**
+     * Find the action bound to a combination
+     */
+    getAction(combo) {
+        return Object.keys(this.bindings).find(action =>
+            action !== 'pushToTalk' && this.bindings[action] === combo
+        ) || null;
+    }
+
+    /**
+     * Run the action for a key press
+     */
+    handleKeyDown(event) {
+        if (!this.enabled || KeyboardShortcuts.isModifierKey(event) ||
+            KeyboardShortcuts.isTypingTarget(event.target)) {
+            return;
+        }
+
+        const combo = KeyboardShortcuts.fromEvent(event);
+        if (this.pushToTalk && combo === this.bindings.pushToTalk) {
+            // Also stops Space from scrolling the page or clicking a focused button
+            event.preventDefault();
+            if (!event.repeat && !this.pushToTalkHeld) {
+                this.pushToTalkHeld = true;
+                this.notifyPushToTalk(true);
+            }
+            return;
+        }
+
+        const action = this.getAction(combo);
+        if (!action) return;
+
+        event.preventDefault();
+        if (!event.repeat && this.onAction) {
+            this.onAction(action);
+        }
+    }
+
+    /**
+     * Stop push-to-talk when its key is released
+     * Only the key is compared, since modifiers may be released first
+     */
+    handleKeyUp(event) {
+        if (!this.pushToTalkHeld) return;
+
+        const key = KeyboardShortcuts.getKey(event);
+        if (key === KeyboardShortcuts.splitCombo(this.bindings.pushToTalk).key) {
+            event.preventDefault();
+            this.releasePushToTalk();
+        }
+    }
+
+    /**
+     * End a held push-to-talk press
+     */
+    releasePushToTalk() {
+        if (!this.pushToTalkHeld) return;
+
+        this.pushToTalkHeld = false;
+        this.notifyPushToTalk(false);
+    }
+
+    /**
+     * Report a push-to-talk press or release
+     */
+    notifyPushToTalk(pressed) {
+        if (this.onPushToTalk) {
+            this.onPushToTalk(pressed);
+        }
+    }
+
+    /**
+     * Set callback for triggered actions
+     */
+    setActionCallback(callback) {
+        this.onAction = callback;
+    }
+
+    /**
+     * Set callback for push-to-talk presses and releases
+     */
+    setPushToTalkCallback(callback) {
+        this.onPushToTalk = callback;
+    }
+
+    /**
+     * Whether keys pressed in an element belong to the element, such as form fields
+     * and the editable transcript
+     */
+    static isTypingTarget(target) {
+        if (!target || !target.closest) return false;
+        return Boolean(target.isContentEditable || target.closest('input, textarea, select'));
+    }
+
+    /**
+     * Whether the key is a modifier on its own
+     */
+    static isModifierKey(event) {
+        return ['Control', 'Alt', 'Shift', 'Meta'].includes(event.key);
+    }
+
+    /**
+     * Get the key of an event, without modifiers
+     * Letters and digits come from the physical key, so Alt and Shift don't change them
+     */
+    static getKey(event) {
+        if (/^Key[A-Z]$/.test(event.code)) return event.code.slice(3);
+        if (/^Digit[0-9]$/.test(event.code)) return event.code.slice(5);
+        if (event.code === 'Space' || event.key === ' ') return 'Space';
+        return event.key.length === 1 ? event.key.toUpperCase() : event.key;
+    }
+
+    /**
+     * Get the normalized combination of a key event
+     */
+    static fromEvent(event) {
+        return KeyboardShortcuts.joinCombo({
+            ctrl: event.ctrlKey,
+            alt: event.altKey,
+            shift: event.shiftKey,
+            meta: event.metaKey
+        }, KeyboardShortcuts.getKey(event));
+    }
+
+    /**
+     * Normalize a combination written as e.g. 'ctrl+shift+r', 'Esc' or '?'
+     */
+    static normalize(combo) {
+        const { modifiers, key } = KeyboardShortcuts.splitCombo(combo);
+        return KeyboardShortcuts.joinCombo(modifiers, key);
+    }
+
+    /**
+     * Split a combination into modifier flags and a key name
+     */
+    static splitCombo(combo) {
+        const modifiers = { ctrl: false, alt: false, shift: false, meta: false };
+        const aliases = {
+            ctrl: 'ctrl', control: 'ctrl', alt: 'alt', option: 'alt',
+            shift: 'shift', meta: 'meta', cmd: 'meta', command: 'meta'
+        };
+
+        // The last part is the key; it may itself be '+'
+        const parts = String(combo).trim().split('+');
+        let key = parts.pop();
+        if (key === '' && parts.length > 0) {
+            parts.pop();
+            key = '+';
+        }
+        parts.forEach(part => {
+            const modifier = aliases[part.trim().toLowerCase()];
+            if (modifier) {
+                modifiers[modifier] = true;
+            }
+        });
+
+        key = key.trim() || (String(combo).includes(' ') ? 'Space' : '');
+        const lower = key.toLowerCase();
+        if (key.length === 1) {
+            key = key.toUpperCase();
+        } else if (lower === 'space' || lower === 'spacebar') {
+            key = 'Space';
+        } else if (lower === 'esc') {
+            key = 'Escape';
+        } else if (key) {
+            key = key.charAt(0).toUpperCase() + key.slice(1);
+        }
+        return { modifiers: modifiers, key: key };
+    }
+
+    /**
+     * Build a combination string with modifiers in a fixed order
+     * Shift is dropped for symbols, since it is part of typing them (e.g. '?')
+     */
+    static joinCombo(modifiers, key) {
+        const symbol = key.length === 1 && !/[A-Z0-9]/.test(key);
+        const parts = [];
+        if (modifiers.ctrl) parts.push('Ctrl');
+        if (modifiers.alt) parts.push('Alt');
+        if (modifiers.shift && !symbol) parts.push('Shift');
+        if (modifiers.meta) parts.push('Meta');
+        parts.push(key);
+        return parts.join('+');
+    }
+}
+
+// Actions that can be bound, in the order shown in the help overlay
+KeyboardShortcuts.ACTIONS = [
+    { id: 'toggleRecording', label: 'Start or stop recording' },
+    { id: 'startRecording', label: 'Start recording' },
+    { id: 'stopRecording', label: 'Stop recording' },
+    { id: 'pushToTalk', label: 'Push-to-talk (hold to record)' },
+    { id: 'clearTranscript', label: 'Clear the transcript' },
+    { id: 'copyTranscript', label: 'Copy the transcript' },
+    { id: 'openSettings', label: 'Show or hide settings' },
+    { id: 'showHelp', label: 'Show this help' }
+];
+
+// Export for use in other modules
+export { KeyboardShortcuts };
@@ -0,0 +1,76 @@
+/**
+ * Subtitle export module for Whisper Flow frontend
+ * Builds SRT and WebVTT files from timed transcript lines
+ */
+
+class SubtitleExporter {
+    /**
+     * Format seconds as HH:MM:SS<separator>mmm
+     */
+    static formatTimestamp(seconds, separator = ',') {
+        const totalMs = Math.max(0, Math.round(seconds * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+    }
+
+    /**
+     * Turn transcript lines into cues ordered by start time
+     * Lines saved without timing follow the previous line, with a duration
+     * estimated from their word count
+     */
+    static buildCues(lines) {
+        const cues = [];
+        let previousEnd = 0;
+
+        lines.forEach(line => {
+            // Cue text must not contain blank lines
+            const text = (line.text || '').replace(/\s+/g, ' ').trim();
+            if (!text) return;
+
+            const start = typeof line.start === 'number' ? line.start : previousEnd;
+            let end = typeof line.end === 'number' ? line.end : null;
+            if (end === null || end <= start) {
+                const words = text.split(/\s+/).length;
+                end = start + Math.max(1, words * 0.4);
+            }
+
+            cues.push({ start: start, end: end, text: text });
+            previousEnd = end;
+        });
+
+        // Cues may overlap, e.g. when channels are transcribed separately
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Build an SRT document
+     */
+    static toSRT(lines) {
+        return this.buildCues(lines).map((cue, index) => [
+            String(index + 1),
+            `${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}`,
+            cue.text
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Build a WebVTT document
+     */
+    static toVTT(lines) {
+        const cues = this.buildCues(lines).map(cue => [
+            `${this.formatTimestamp(cue.start, '.')} --> ${this.formatTimestamp(cue.end, '.')}`,
+            // "-->" is not allowed inside cue text
+            cue.text.replace(/-->/g, '->')
+        ].join('\n'));
+
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+}
+
+// Export for use in other modules
+export { SubtitleExporter };
@@ -0,0 +1,249 @@
+/**
+ * Transcript model for Whisper Flow frontend
+ * Holds the finalized lines shown in the transcription display, with editing and undo history
+ */
+
+class TranscriptModel {
+    constructor(options = {}) {
+        this.historyLimit = options.historyLimit || 100;
+        this.lines = []; // { id, text, start, end } in display order
+        this.undoStack = []; // Applied edits, most recent last
+        this.redoStack = [];
+        this.nextId = 1;
+        this.onChange = null; // Callback after any change, with 'set', 'append' or 'edit'
+    }
+
+    /**
+     * Replace the transcript, forgetting the edit history
+     */
+    setLines(lines) {
+        this.lines = lines.map(line => this.createLine(line));
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange('set');
+    }
+
+    /**
+     * Remove all lines and the edit history
+     */
+    clear() {
+        this.setLines([]);
+    }
+
+    /**
+     * Add a newly finalized line at the end
+     * Appends are not edits: they aren't undone, and edit history stays valid because
+     * every edit is anchored to lines before the end
+     */
+    append(line) {
+        const added = this.createLine(line);
+        this.lines.push(added);
+        this.notifyChange('append');
+        return added;
+    }
+
+    /**
+     * Get the lines without ids, for saving and export
+     */
+    getLines() {
+        return this.lines.map(line => ({ text: line.text, start: line.start, end: line.end }));
+    }
+
+    /**
+     * Get the transcript as plain text, one line per line
+     */
+    getText() {
+        return this.lines.map(line => line.text).join('\n');
+    }
+
+    /**
+     * Find a line by id
+     */
+    getLine(id) {
+        return this.lines.find(line => line.id === id) || null;
+    }
+
+    /**
+     * Replace a line's text; empty text deletes the line
+     */
+    updateText(id, text) {
+        const line = this.getLine(id);
+        const trimmed = text.trim();
+        if (!line || trimmed === line.text) return false;
+        if (!trimmed) return this.remove(id);
+
+        this.edit([line], [{ ...line, text: trimmed }]);
+        return true;
+    }
+
+    /**
+     * Merge a line with the one after it
+     */
+    merge(id) {
+        const index = this.lines.findIndex(line => line.id === id);
+        if (index === -1 || index === this.lines.length - 1) return false;
+
+        const first = this.lines[index];
+        const second = this.lines[index + 1];
+        this.edit([first, second], [this.createLine({
+            text: `${first.text} ${second.text}`,
+            start: first.start,
+            end: second.end
+        })]);
+        return true;
+    }
+
+    /**
+     * Split a line in two at a character offset
+     * The split time is estimated from the offset's share of the text
+     */
+    split(id, offset) {
+        const line = this.getLine(id);
+        if (!line) return false;
+
+        const before = line.text.slice(0, offset).trim();
+        const after = line.text.slice(offset).trim();
+        if (!before || !after) return false;
+
+        let splitTime = null;
+        if (typeof line.start === 'number' && typeof line.end === 'number') {
+            splitTime = line.start + (line.end - line.start) * offset / line.text.length;
+        }
+
+        this.edit([line], [
+            this.createLine({ text: before, start: line.start, end: splitTime === null ? line.end : splitTime }),
+            this.createLine({ text: after, start: splitTime === null ? line.start : splitTime, end: line.end })
+        ]);
+        return true;
+    }
+
+    /**
+     * Delete a line
+     */
+    remove(id) {
+        const line = this.getLine(id);
+        if (!line) return false;
+
+        this.edit([line], []);
+        return true;
+    }
+
+    /**
+     * Delete every line as one edit, so it can be undone
+     */
+    removeAll() {
+        if (this.lines.length === 0) return false;
+
+        this.edit(this.lines.slice(), []);
+        return true;
+    }
+
+    /**
+     * Undo the most recent edit
+     */
+    undo() {
+        const change = this.undoStack.pop();
+        if (!change) return false;
+
+        this.apply(TranscriptModel.invert(change));
+        this.redoStack.push(change);
+        this.notifyChange('edit');
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone edit
+     */
+    redo() {
+        const change = this.redoStack.pop();
+        if (!change) return false;
+
+        this.apply(change);
+        this.undoStack.push(change);
+        this.notifyChange('edit');
+        return true;
+    }
+
+    /**
+     * Whether there is an edit to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an edit to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Replace a run of consecutive lines and record the change for undo
+     */
+    edit(removed, added) {
+        const index = this.lines.indexOf(removed[0]);
+        const change = {
+            previousId: index > 0 ? this.lines[index - 1].id : null, // Line before the change, null at the start
+            removed: removed,
+            added: added
+        };
+
+        this.apply(change);
+        this.undoStack.push(change);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notifyChange('edit');
+    }
+
+    /**
+     * Swap a change's removed lines for its added lines
+     */
+    apply(change) {
+        const index = change.previousId === null ?
+            0 :
+            this.lines.findIndex(line => line.id === change.previousId) + 1;
+        this.lines.splice(index, change.removed.length, ...change.added);
+    }
+
+    /**
+     * Build the change that reverses another
+     */
+    static invert(change) {
+        return { previousId: change.previousId, removed: change.added, added: change.removed };
+    }
+
+    /**
+     * Create a line with a new id
+     */
+    createLine(fields) {
+        return {
+            id: this.nextId++,
+            text: fields.text,
+            start: typeof fields.start === 'number' ? fields.start : null,
+            end: typeof fields.end === 'number' ? fields.end : null
+        };
+    }
+
+    /**
+     * Report a change: 'set' for a replaced transcript, 'append' for a new line,
+     * 'edit' for user edits, undo and redo
+     */
+    notifyChange(reason) {
+        if (this.onChange) {
+            this.onChange(reason);
+        }
+    }
+
+    /**
+     * Set callback for transcript changes
+     */
+    setChangeCallback(callback) {
+        this.onChange = callback;
+    }
+}
+
+// Export for use in other modules
+export { TranscriptModel };
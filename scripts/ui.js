@@ -3,12 +3,26 @@
  * Handles DOM updates, user interactions, and visual feedback
  */
 
+import { TranscriptionQueue } from './queue.js';
+import { KeyboardShortcuts } from './shortcuts.js';
+import { NotificationCenter } from './notifications.js';
+
 class UI {
-    constructor() {
+    constructor(config, i18n) {
+        this.config = config; // WhisperFlowConfig shown and edited in the settings panel
+        this.i18n = i18n; // I18n with the interface translations
+        this.notifications = new NotificationCenter();
+        this.notifications.setChangeCallback(() => this.renderNotifications());
+        this.toastElements = new Map(); // Notification id -> toast element
         this.elements = {};
+        this.i18n.translatePage();
         this.initializeElements();
         this.setupEventListeners();
         this.partialBubble = null; // Track the current partial bubble
+        this.reconnectCountdownTimer = null;
+        this.recordingUrl = null; // Object URL of the recording in the player
+        this.capturingShortcut = null; // Action whose new key combination is being recorded
+        this.playingLine = null; // Line highlighted during playback
     }
 
     /**
@@ -18,21 +32,109 @@ class UI {
         this.elements = {
             // Configuration elements
             configSection: document.getElementById('configSection'),
+            profileSelect: document.getElementById('profileSelect'),
+            newProfileButton: document.getElementById('newProfileButton'),
+            renameProfileButton: document.getElementById('renameProfileButton'),
+            deleteProfileButton: document.getElementById('deleteProfileButton'),
+            exportProfilesButton: document.getElementById('exportProfilesButton'),
+            importProfilesButton: document.getElementById('importProfilesButton'),
+            importProfilesInput: document.getElementById('importProfilesInput'),
+            serverUrlInput: document.getElementById('serverUrlInput'),
             hostnameInput: document.getElementById('hostnameInput'),
             portInput: document.getElementById('portInput'),
+            basePathInput: document.getElementById('basePathInput'),
+            wsSchemeSelect: document.getElementById('wsSchemeSelect'),
+            httpSchemeSelect: document.getElementById('httpSchemeSelect'),
+            wsPathInput: document.getElementById('wsPathInput'),
+            httpPathInput: document.getElementById('httpPathInput'),
+            healthPathInput: document.getElementById('healthPathInput'),
+            authModeSelect: document.getElementById('authModeSelect'),
+            authTokenInput: document.getElementById('authTokenInput'),
+            showTokenButton: document.getElementById('showTokenButton'),
+            authHeaderInput: document.getElementById('authHeaderInput'),
+            wsAuthMethodSelect: document.getElementById('wsAuthMethodSelect'),
+            wsAuthParamInput: document.getElementById('wsAuthParamInput'),
+            authSessionOnlyInput: document.getElementById('authSessionOnlyInput'),
+            modelSelect: document.getElementById('modelSelect'),
+            languageSelect: document.getElementById('languageSelect'),
+            segmentSecondsInput: document.getElementById('segmentSecondsInput'),
+            segmentOverlapInput: document.getElementById('segmentOverlapInput'),
+            channelModeSelect: document.getElementById('channelModeSelect'),
+            channelIndexInput: document.getElementById('channelIndexInput'),
+            vadEnabledInput: document.getElementById('vadEnabledInput'),
+            vadThresholdInput: document.getElementById('vadThresholdInput'),
+            vadHangoverInput: document.getElementById('vadHangoverInput'),
+            vadPreRollInput: document.getElementById('vadPreRollInput'),
+            autoStopInput: document.getElementById('autoStopInput'),
+            outageBufferInput: document.getElementById('outageBufferInput'),
+            keepRecordingInput: document.getElementById('keepRecordingInput'),
+            pushToTalkInput: document.getElementById('pushToTalkInput'),
+            queueConcurrencyInput: document.getElementById('queueConcurrencyInput'),
+            healthIntervalInput: document.getElementById('healthIntervalInput'),
+            reconnectAttemptsInput: document.getElementById('reconnectAttemptsInput'),
+            heartbeatInput: document.getElementById('heartbeatInput'),
+            heartbeatPingInput: document.getElementById('heartbeatPingInput'),
             configSource: document.getElementById('configSource'),
             applyConfigButton: document.getElementById('applyConfigButton'),
             resetConfigButton: document.getElementById('resetConfigButton'),
             configToggleButton: document.getElementById('configToggleButton'),
+            shortcutsButton: document.getElementById('shortcutsButton'),
+            metricsToggleButton: document.getElementById('metricsToggleButton'),
+            
+            // Streaming metrics
+            metricsSection: document.getElementById('metricsSection'),
+            resetMetricsButton: document.getElementById('resetMetricsButton'),
+            metricsThroughput: document.getElementById('metricsThroughput'),
+            metricsTotal: document.getElementById('metricsTotal'),
+            metricsBuffered: document.getElementById('metricsBuffered'),
+            metricsSkipped: document.getElementById('metricsSkipped'),
+            metricsFirstPartial: document.getElementById('metricsFirstPartial'),
+            metricsFinal: document.getElementById('metricsFinal'),
+            metricsReconnects: document.getElementById('metricsReconnects'),
+            
+            // Shortcut help overlay
+            shortcutOverlay: document.getElementById('shortcutOverlay'),
+            shortcutList: document.getElementById('shortcutList'),
+            closeShortcutsButton: document.getElementById('closeShortcutsButton'),
+            resetShortcutsButton: document.getElementById('resetShortcutsButton'),
+            
+            // Notification elements
+            notificationStack: document.getElementById('notificationStack'),
+            notificationsToggleButton: document.getElementById('notificationsToggleButton'),
+            notificationBadge: document.getElementById('notificationBadge'),
+            notificationsSection: document.getElementById('notificationsSection'),
+            notificationHistory: document.getElementById('notificationHistory'),
+            clearNotificationsButton: document.getElementById('clearNotificationsButton'),
+            
+            // History elements
+            historySection: document.getElementById('historySection'),
+            historyList: document.getElementById('historyList'),
+            historyToggleButton: document.getElementById('historyToggleButton'),
             
             // Status elements
             connectionStatus: document.getElementById('connectionStatus'),
             statusIndicator: document.getElementById('statusIndicator'),
             statusText: document.getElementById('statusText'),
+            reconnectButton: document.getElementById('reconnectButton'),
+            pendingAudio: document.getElementById('pendingAudio'),
+            healthBadge: document.getElementById('healthBadge'),
+            
+            // Server info elements
+            serverInfoSection: document.getElementById('serverInfoSection'),
+            healthCheckButton: document.getElementById('healthCheckButton'),
+            serverHttpUrl: document.getElementById('serverHttpUrl'),
+            serverWsUrl: document.getElementById('serverWsUrl'),
+            serverStatus: document.getElementById('serverStatus'),
+            serverLastCheck: document.getElementById('serverLastCheck'),
+            serverVersion: document.getElementById('serverVersion'),
+            serverModel: document.getElementById('serverModel'),
+            serverLatency: document.getElementById('serverLatency'),
+            latencyHistory: document.getElementById('latencyHistory'),
             
             // Recording controls
             recordButton: document.getElementById('recordButton'),
             stopButton: document.getElementById('stopButton'),
+            inputDeviceSelect: document.getElementById('inputDeviceSelect'),
             
             // Audio level
             audioLevel: document.getElementById('audioLevel'),
@@ -40,12 +142,30 @@ class UI {
             
             // Transcription display
             transcriptionText: document.getElementById('transcriptionText'),
+            exportSrtButton: document.getElementById('exportSrtButton'),
+            exportVttButton: document.getElementById('exportVttButton'),
+            undoButton: document.getElementById('undoButton'),
+            redoButton: document.getElementById('redoButton'),
+            copyTranscriptButton: document.getElementById('copyTranscriptButton'),
+            
+            // Recording playback
+            playbackSection: document.getElementById('playbackSection'),
+            playbackAudio: document.getElementById('playbackAudio'),
+            recordingDownloadLink: document.getElementById('recordingDownloadLink'),
             
             // File upload
             fileDropZone: document.getElementById('fileDropZone'),
             fileInput: document.getElementById('fileInput'),
             uploadButton: document.getElementById('uploadButton'),
-            uploadResult: document.getElementById('uploadResult')
+            streamSpeedSelect: document.getElementById('streamSpeedSelect'),
+            streamStatus: document.getElementById('streamStatus'),
+            
+            // Transcription queue
+            queueSection: document.getElementById('queueSection'),
+            queueSummary: document.getElementById('queueSummary'),
+            queueList: document.getElementById('queueList'),
+            retryFailedButton: document.getElementById('retryFailedButton'),
+            clearFinishedButton: document.getElementById('clearFinishedButton')
         };
     }
 
@@ -66,6 +186,167 @@ class UI {
             this.onResetConfigClick();
         });
         
+        // Profiles
+        this.elements.profileSelect.addEventListener('change', () => {
+            this.onProfileSwitch(this.elements.profileSelect.value);
+        });
+        
+        this.elements.newProfileButton.addEventListener('click', () => {
+            this.onProfileCreate();
+        });
+        
+        this.elements.renameProfileButton.addEventListener('click', () => {
+            this.onProfileRename();
+        });
+        
+        this.elements.deleteProfileButton.addEventListener('click', () => {
+            this.onProfileDelete();
+        });
+        
+        this.elements.exportProfilesButton.addEventListener('click', () => {
+            this.onProfilesExport();
+        });
+        
+        this.elements.importProfilesButton.addEventListener('click', () => {
+            this.elements.importProfilesInput.click();
+        });
+        
+        this.elements.importProfilesInput.addEventListener('change', () => {
+            const file = this.elements.importProfilesInput.files[0];
+            this.elements.importProfilesInput.value = '';
+            if (file) {
+                this.onProfilesImport(file);
+            }
+        });
+        
+        this.elements.channelModeSelect.addEventListener('change', () => {
+            this.updateChannelIndexState();
+        });
+        
+        this.elements.serverUrlInput.addEventListener('input', () => {
+            this.updateEndpointState();
+        });
+        
+        // Authentication
+        this.elements.authModeSelect.addEventListener('change', () => {
+            this.updateAuthState();
+        });
+        
+        this.elements.wsAuthMethodSelect.addEventListener('change', () => {
+            this.updateAuthState();
+        });
+        
+        this.elements.showTokenButton.addEventListener('click', () => {
+            const input = this.elements.authTokenInput;
+            input.type = input.type === 'password' ? 'text' : 'password';
+            this.elements.showTokenButton.textContent = this.i18n.t(input.type === 'password' ? 'Show' : 'Hide');
+        });
+        
+        // Transcription queue
+        this.elements.queueList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const itemId = Number(button.closest('.queue-item').dataset.itemId);
+            this.onQueueItemAction(button.dataset.action, itemId);
+        });
+        
+        this.elements.retryFailedButton.addEventListener('click', () => {
+            this.onQueueRetryFailed();
+        });
+        
+        this.elements.clearFinishedButton.addEventListener('click', () => {
+            this.onQueueClearFinished();
+        });
+        
+        // Notifications
+        this.elements.notificationStack.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-notification-id]');
+            if (button) {
+                this.notifications.dismiss(Number(button.dataset.notificationId));
+            }
+        });
+        
+        this.elements.notificationsToggleButton.addEventListener('click', () => {
+            this.toggleNotificationsSection();
+        });
+        
+        this.elements.clearNotificationsButton.addEventListener('click', () => {
+            this.notifications.clearHistory();
+        });
+        
+        // Session history
+        this.elements.historyToggleButton.addEventListener('click', () => {
+            this.toggleHistorySection();
+        });
+        
+        this.elements.reconnectButton.addEventListener('click', () => {
+            this.onReconnectClick();
+        });
+        
+        // Streaming metrics
+        this.elements.metricsToggleButton.addEventListener('click', () => {
+            this.onMetricsToggle(this.toggleMetricsSection());
+        });
+        
+        this.elements.resetMetricsButton.addEventListener('click', () => {
+            this.onResetMetricsClick();
+        });
+        
+        // Keyboard shortcut help
+        this.elements.shortcutsButton.addEventListener('click', () => {
+            this.onShortcutHelpClick();
+        });
+        
+        this.elements.closeShortcutsButton.addEventListener('click', () => {
+            this.hideShortcutHelp();
+        });
+        
+        this.elements.resetShortcutsButton.addEventListener('click', () => {
+            this.capturingShortcut = null;
+            this.onShortcutsReset();
+        });
+        
+        this.elements.shortcutOverlay.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-shortcut]');
+            if (button) {
+                this.startShortcutCapture(button);
+            } else if (event.target === this.elements.shortcutOverlay) {
+                this.hideShortcutHelp();
+            }
+        });
+        
+        this.elements.shortcutOverlay.addEventListener('keydown', (event) => {
+            this.handleShortcutOverlayKey(event);
+        });
+        
+        // Server info
+        this.elements.healthBadge.addEventListener('click', () => {
+            this.toggleServerInfoSection();
+        });
+        
+        this.elements.healthCheckButton.addEventListener('click', () => {
+            this.onHealthCheckClick();
+        });
+        
+        this.elements.historyList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const sessionId = button.closest('.history-item').dataset.sessionId;
+            switch (button.dataset.action) {
+                case 'open':
+                    this.onHistorySessionOpen(sessionId);
+                    break;
+                case 'rename':
+                    this.onHistorySessionRename(sessionId);
+                    break;
+                case 'delete':
+                    this.onHistorySessionDelete(sessionId);
+                    break;
+            }
+        });
+        
         // Recording controls
         this.elements.recordButton.addEventListener('click', () => {
             this.onRecordButtonClick();
@@ -75,6 +356,104 @@ class UI {
             this.onStopButtonClick();
         });
         
+        // Input device
+        this.elements.inputDeviceSelect.addEventListener('change', () => {
+            this.onInputDeviceChange(this.elements.inputDeviceSelect.value);
+        });
+        
+        // Subtitle export
+        this.elements.exportSrtButton.addEventListener('click', () => {
+            this.onExportSubtitlesClick('srt');
+        });
+        
+        this.elements.exportVttButton.addEventListener('click', () => {
+            this.onExportSubtitlesClick('vtt');
+        });
+        
+        // Transcript editing
+        this.elements.undoButton.addEventListener('click', () => {
+            this.onTranscriptUndo();
+        });
+        
+        this.elements.redoButton.addEventListener('click', () => {
+            this.onTranscriptRedo();
+        });
+        
+        this.elements.copyTranscriptButton.addEventListener('click', () => {
+            this.onCopyTranscriptClick();
+        });
+        
+        this.elements.transcriptionText.addEventListener('focusout', (event) => {
+            if (event.target.classList.contains('line-text')) {
+                this.commitTranscriptLine(event.target);
+            }
+        });
+        
+        this.elements.transcriptionText.addEventListener('keydown', (event) => {
+            const text = event.target;
+            if (!text.classList.contains('line-text')) return;
+            
+            const key = event.key.toLowerCase();
+            const modifier = event.ctrlKey || event.metaKey;
+            if (key === 'enter') {
+                event.preventDefault();
+                this.splitTranscriptLine(text);
+            } else if (key === 'escape') {
+                // Discard the uncommitted edit
+                text.textContent = text.dataset.savedText;
+                text.blur();
+            } else if (modifier && (key === 'y' || (key === 'z' && event.shiftKey))) {
+                event.preventDefault();
+                this.commitTranscriptLine(text);
+                this.onTranscriptRedo();
+            } else if (modifier && key === 'z') {
+                // Use the transcript's history rather than the browser's per-element undo
+                event.preventDefault();
+                this.commitTranscriptLine(text);
+                this.onTranscriptUndo();
+            }
+        });
+        
+        // Keep the caret in the line while clicking its buttons, so split knows where to cut
+        this.elements.transcriptionText.addEventListener('mousedown', (event) => {
+            if (event.target.closest('.line-actions')) {
+                event.preventDefault();
+            }
+        });
+        
+        this.elements.transcriptionText.addEventListener('click', (event) => {
+            const line = event.target.closest('.transcription-line.final');
+            if (!line) return;
+            
+            const button = event.target.closest('button[data-line-action]');
+            if (button) {
+                const text = line.querySelector('.line-text');
+                const lineId = Number(line.dataset.lineId);
+                if (button.dataset.lineAction === 'split') {
+                    this.splitTranscriptLine(text);
+                } else {
+                    this.commitTranscriptLine(text);
+                    this.onTranscriptEdit(button.dataset.lineAction, lineId, {});
+                }
+                return;
+            }
+            
+            // Recording playback: clicking a line's timestamp seeks to it
+            if (event.target.closest('.line-time') && this.recordingUrl && line.dataset.start !== undefined) {
+                const audio = this.elements.playbackAudio;
+                audio.currentTime = parseFloat(line.dataset.start);
+                audio.play().catch(error => console.error('Playback failed:', error));
+            }
+        });
+        
+        this.elements.playbackAudio.addEventListener('timeupdate', () => {
+            this.highlightPlayingLine(this.elements.playbackAudio.currentTime);
+        });
+        
+        this.elements.playbackAudio.addEventListener('ended', () => {
+            this.highlightPlayingLine(null);
+        });
+        
         // File upload
         this.elements.fileInput.addEventListener('change', (event) => {
             this.onFileSelected(event);
@@ -107,22 +486,106 @@ class UI {
     }
 
     /**
-     * Update connection status display
+     * Update connection status display from the socket's connection state
      */
-    updateConnectionStatus(isConnected, message = null) {
+    updateConnectionState(status) {
         const indicator = this.elements.statusIndicator;
         const text = this.elements.statusText;
         
-        if (isConnected) {
-            indicator.className = 'status-indicator connected';
-            text.textContent = message || 'Connected to Whisper Flow';
-        } else {
-            indicator.className = 'status-indicator error';
-            text.textContent = message || 'Disconnected from Whisper Flow';
-            
-            // Auto-expand configuration section on connection failure
-            this.showConfigSection();
+        clearInterval(this.reconnectCountdownTimer);
+        this.reconnectCountdownTimer = null;
+        this.elements.reconnectButton.style.display = ['idle', 'reconnecting', 'failed'].includes(status.state) ? '' : 'none';
+        
+        switch (status.state) {
+            case 'open':
+                indicator.className = 'status-indicator connected';
+                text.textContent = this.i18n.t('Connected to Whisper Flow');
+                break;
+            case 'connecting':
+                indicator.className = 'status-indicator';
+                text.textContent = this.i18n.t('Connecting...');
+                break;
+            case 'reconnecting':
+                indicator.className = 'status-indicator reconnecting';
+                text.textContent = this.formatReconnectStatus(status);
+                
+                // Count down to the scheduled attempt
+                if (status.nextAttemptAt) {
+                    this.reconnectCountdownTimer = setInterval(() => {
+                        text.textContent = this.formatReconnectStatus(status);
+                    }, 1000);
+                }
+                break;
+            case 'failed':
+                if (status.authFailed) {
+                    this.showAuthenticationFailed();
+                    return;
+                }
+                indicator.className = 'status-indicator error';
+                if (status.reconnectAttempts === 0) {
+                    text.textContent = this.i18n.t('Connection failed');
+                } else {
+                    text.textContent = this.i18n.t(status.reconnectAttempts === 1 ?
+                        'Connection failed after 1 attempt' :
+                        'Connection failed after {count} attempts', { count: status.reconnectAttempts });
+                }
+                
+                // Auto-expand configuration section on connection failure
+                this.showConfigSection();
+                break;
+            default:
+                indicator.className = 'status-indicator';
+                text.textContent = this.i18n.t('Not connected');
+        }
+    }
+
+    /**
+     * Describe a reconnecting socket, e.g. "Reconnecting in 4s (attempt 2/5)"
+     */
+    formatReconnectStatus(status) {
+        const attempt = status.maxReconnectAttempts > 0 ?
+            `${status.reconnectAttempts}/${status.maxReconnectAttempts}` :
+            String(status.reconnectAttempts);
+        
+        if (status.nextAttemptAt) {
+            const seconds = Math.max(0, Math.ceil((status.nextAttemptAt - Date.now()) / 1000));
+            return this.i18n.t('Disconnected - reconnecting in {seconds}s (attempt {attempt})', { seconds: seconds, attempt: attempt });
+        }
+        if (!status.serverReachable && status.readyState === null) {
+            return this.i18n.t('Server unreachable - waiting for it to come back');
         }
+        return this.i18n.t('Reconnecting (attempt {attempt})...', { attempt: attempt });
+    }
+
+    /**
+     * Show that the server rejected the configured credentials
+     */
+    showAuthenticationFailed() {
+        this.elements.statusIndicator.className = 'status-indicator auth-failed';
+        this.elements.statusText.textContent = this.i18n.t('Authentication failed - check the token in Settings');
+        this.showConfigSection();
+    }
+
+    /**
+     * Show how much audio is waiting to be sent after an outage
+     */
+    updatePendingAudio(pendingSeconds, droppedSeconds) {
+        const element = this.elements.pendingAudio;
+        
+        if (pendingSeconds <= 0) {
+            element.style.display = 'none';
+            element.classList.remove('overflow');
+            return;
+        }
+        
+        let text = `⏳ ${this.i18n.t('{seconds}s audio pending', { seconds: pendingSeconds.toFixed(1) })}`;
+        if (droppedSeconds > 0) {
+            text += `, ${this.i18n.t('{seconds}s dropped', { seconds: droppedSeconds.toFixed(1) })}`;
+        }
+        
+        element.textContent = text;
+        element.classList.toggle('overflow', droppedSeconds > 0);
+        element.style.display = 'inline-block';
     }
 
     /**
@@ -134,11 +597,11 @@ class UI {
         
         // Update text based on level
         if (level < 0.1) {
-            this.elements.audioLevelText.textContent = 'Audio Level: Low';
+            this.elements.audioLevelText.textContent = this.i18n.t('Audio Level: Low');
         } else if (level < 0.5) {
-            this.elements.audioLevelText.textContent = 'Audio Level: Medium';
+            this.elements.audioLevelText.textContent = this.i18n.t('Audio Level: Medium');
         } else {
-            this.elements.audioLevelText.textContent = 'Audio Level: High';
+            this.elements.audioLevelText.textContent = this.i18n.t('Audio Level: High');
         }
     }
 
@@ -148,236 +611,1396 @@ class UI {
     showPartialTranscription(text) {
         // If no partial bubble exists, create one
         if (!this.partialBubble) {
+            this.removePlaceholder();
             this.partialBubble = document.createElement('div');
             this.partialBubble.className = 'transcription-line partial';
             this.elements.transcriptionText.appendChild(this.partialBubble);
         }
         this.partialBubble.textContent = text;
-        // Auto-scroll to bottom
-        this.elements.transcriptionText.scrollTop = this.elements.transcriptionText.scrollHeight;
+        this.scrollTranscriptToEnd();
     }
 
     /**
-     * Finalize the current partial bubble as a green (final) bubble
-     * and start a new row for the next utterance
+     * Remove the partial bubble once its utterance is final
+     * The final line itself is drawn by renderTranscript
      */
-    finalizePartialTranscription() {
+    clearPartialTranscription() {
         if (this.partialBubble) {
-            this.partialBubble.className = 'transcription-line final';
+            this.partialBubble.remove();
             this.partialBubble = null;
         }
     }
 
+    /**
+     * Auto-scroll to the newest text, unless a line is being edited
+     */
+    scrollTranscriptToEnd() {
+        if (this.isEditingTranscript()) return;
+        this.elements.transcriptionText.scrollTop = this.elements.transcriptionText.scrollHeight;
+    }
+
+    /**
+     * Whether the caret is in a transcript line
+     */
+    isEditingTranscript() {
+        const active = document.activeElement;
+        return Boolean(active && active.classList.contains('line-text') &&
+            this.elements.transcriptionText.contains(active));
+    }
+
+    /**
+     * Format seconds as m:ss
+     */
+    formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds));
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
     /**
      * Clear all transcription display and reset state
      */
     clearTranscription() {
-        this.elements.transcriptionText.innerHTML = '<p class="placeholder-text">Start recording to see live transcription...</p>';
+        this.elements.transcriptionText.innerHTML = '';
+        this.elements.transcriptionText.appendChild(this.createPlaceholder('Start recording to see live transcription...'));
         this.partialBubble = null;
+        this.playingLine = null;
     }
 
     /**
-     * Update recording button states
+     * Create the translated placeholder shown in an empty list
      */
-    updateRecordingState(isRecording) {
-        this.elements.recordButton.disabled = isRecording;
-        this.elements.stopButton.disabled = !isRecording;
-        
-        if (isRecording) {
-            this.elements.recordButton.querySelector('.btn-text').textContent = 'Recording...';
-            this.elements.recordButton.classList.add('recording');
-        } else {
-            this.elements.recordButton.querySelector('.btn-text').textContent = 'Start Recording';
-            this.elements.recordButton.classList.remove('recording');
+    createPlaceholder(text) {
+        const placeholder = document.createElement('p');
+        placeholder.className = 'placeholder-text';
+        placeholder.textContent = this.i18n.t(text);
+        return placeholder;
+    }
+
+    /**
+     * Remove the placeholder shown in an empty transcript
+     */
+    removePlaceholder() {
+        const placeholder = this.elements.transcriptionText.querySelector('.placeholder-text');
+        if (placeholder) {
+            placeholder.remove();
         }
     }
 
     /**
-     * Update upload button state
+     * Draw the final lines of the transcript model, above any partial bubble
+     * Existing line elements are kept so a line being edited keeps its caret and text
      */
-    updateUploadButtonState(hasFile) {
-        this.elements.uploadButton.disabled = !hasFile;
+    renderTranscript(lines) {
+        const container = this.elements.transcriptionText;
+        if (lines.length === 0 && !this.partialBubble) {
+            this.clearTranscription();
+            return;
+        }
+        this.removePlaceholder();
+        
+        const existing = new Map();
+        container.querySelectorAll('.transcription-line.final').forEach(element => {
+            existing.set(Number(element.dataset.lineId), element);
+        });
+        
+        const wasAtEnd = container.scrollTop + container.clientHeight >= container.scrollHeight - 5;
+        let previous = null;
+        lines.forEach((line, index) => {
+            let element = existing.get(line.id);
+            if (element) {
+                existing.delete(line.id);
+            } else {
+                element = this.createTranscriptLine(line);
+            }
+            this.updateTranscriptLine(element, line, index === lines.length - 1);
+            
+            // Only move elements that are out of place; moving a focused element blurs it
+            const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+            if (element !== expected) {
+                container.insertBefore(element, expected);
+            }
+            previous = element;
+        });
+        existing.forEach(element => element.remove());
+        
+        if (this.playingLine && !this.playingLine.isConnected) {
+            this.playingLine = null;
+        }
+        if (wasAtEnd) {
+            this.scrollTranscriptToEnd();
+        }
     }
 
     /**
-     * Show upload result
+     * Create the element for one final line: timestamp, editable text and line actions
      */
-    showUploadResult(success, message) {
-        const result = this.elements.uploadResult;
-        result.className = `upload-result ${success ? 'success' : 'error'}`;
-        result.textContent = message;
-        result.style.display = 'block';
+    createTranscriptLine(line) {
+        const element = document.createElement('div');
+        element.className = 'transcription-line final';
+        element.dataset.lineId = line.id;
+        
+        const time = document.createElement('button');
+        time.className = 'line-time';
+        time.title = this.i18n.t('Play from here');
+        
+        const text = document.createElement('span');
+        text.className = 'line-text';
+        text.contentEditable = 'true';
+        text.spellcheck = true;
         
-        // Hide after 5 seconds
-        setTimeout(() => {
-            result.style.display = 'none';
-        }, 5000);
+        const actions = document.createElement('div');
+        actions.className = 'line-actions';
+        [
+            ['merge', '⤓', 'Merge with the next line'],
+            ['split', '✂', 'Split at the cursor (Enter)'],
+            ['delete', '✕', 'Delete line']
+        ].forEach(([action, label, title]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.dataset.lineAction = action;
+            button.textContent = label;
+            button.title = this.i18n.t(title);
+            actions.appendChild(button);
+        });
+        
+        element.appendChild(time);
+        element.appendChild(text);
+        element.appendChild(actions);
+        return element;
     }
 
     /**
-     * Show error message
+     * Bring a line element up to date with the model
      */
-    showError(message) {
-        // Create temporary error notification
-        const notification = document.createElement('div');
-        notification.className = 'error-notification';
-        notification.textContent = message;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #dc3545;
-            color: white;
-            padding: 15px 20px;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 1000;
-            max-width: 300px;
-            animation: slideIn 0.3s ease;
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Remove after 5 seconds
-        setTimeout(() => {
-            notification.style.animation = 'slideOut 0.3s ease';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 5000);
+    updateTranscriptLine(element, line, isLast) {
+        const text = element.querySelector('.line-text');
+        
+        // Leave uncommitted edits alone; they are committed when the line loses focus
+        if (!this.isLineDirty(text) && text.textContent !== line.text) {
+            text.textContent = line.text;
+        }
+        text.dataset.savedText = line.text;
+        
+        const time = element.querySelector('.line-time');
+        if (typeof line.start === 'number') {
+            element.dataset.start = line.start;
+            element.dataset.end = line.end;
+            element.title = `${this.formatTime(line.start)} – ${this.formatTime(line.end)}`;
+            time.textContent = this.formatTime(line.start);
+            time.style.display = '';
+        } else {
+            time.style.display = 'none';
+        }
+        
+        element.querySelector('[data-line-action="merge"]').disabled = isLast;
     }
 
     /**
-     * Show success message
+     * Whether a line's text has been changed but not yet committed
      */
-    showSuccess(message) {
-        const notification = document.createElement('div');
-        notification.className = 'success-notification';
-        notification.textContent = message;
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: #28a745;
-            color: white;
-            padding: 15px 20px;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 1000;
-            max-width: 300px;
-            animation: slideIn 0.3s ease;
-        `;
-        
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-            notification.style.animation = 'slideOut 0.3s ease';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+    isLineDirty(text) {
+        return text.dataset.savedText !== undefined && text.textContent.trim() !== text.dataset.savedText;
     }
 
     /**
-     * Get selected file
+     * Commit a line's edited text to the model
      */
-    getSelectedFile() {
-        return this.elements.fileInput.files[0] || null;
+    commitTranscriptLine(text) {
+        if (!this.isLineDirty(text)) return;
+        
+        const lineId = Number(text.closest('.transcription-line').dataset.lineId);
+        this.onTranscriptEdit('update', lineId, { text: text.textContent });
     }
 
     /**
-     * Clear file selection
+     * Get the caret position within a line's text, or null if the caret is elsewhere
      */
-    clearFileSelection() {
-        this.elements.fileInput.value = '';
-        this.updateUploadButtonState(false);
+    getCaretOffset(text) {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || !text.contains(selection.anchorNode)) return null;
+        
+        const range = selection.getRangeAt(0).cloneRange();
+        range.selectNodeContents(text);
+        range.setEnd(selection.anchorNode, selection.anchorOffset);
+        return range.toString().length;
     }
 
     /**
-     * Update configuration display
+     * Split a line at the caret, committing any edit first
      */
-    updateConfigDisplay() {
-        const config = window.WhisperFlowConfig.getConfigSummary();
+    splitTranscriptLine(text) {
+        const lineId = Number(text.closest('.transcription-line').dataset.lineId);
+        const offset = this.getCaretOffset(text);
+        if (offset === null) {
+            this.showInfo(this.i18n.t('Place the cursor where the line should be split'));
+            return;
+        }
         
-        this.elements.hostnameInput.value = config.hostname;
-        this.elements.portInput.value = config.port;
+        // Offsets in the edited text must match the model, so commit first
+        const leadingSpace = text.textContent.length - text.textContent.trimStart().length;
+        this.commitTranscriptLine(text);
+        this.onTranscriptEdit('split', lineId, { offset: Math.max(0, offset - leadingSpace) });
+    }
+
+    /**
+     * Enable or disable the undo and redo buttons
+     */
+    updateUndoState(canUndo, canRedo) {
+        this.elements.undoButton.disabled = !canUndo;
+        this.elements.redoButton.disabled = !canRedo;
+    }
+
+    /**
+     * Load a finished recording into the player and the download link
+     */
+    showRecording(blob, fileName) {
+        this.hideRecording();
         
-        // Update source indicator with color coding
-        const sourceElement = this.elements.configSource;
-        sourceElement.textContent = config.source;
-        sourceElement.className = `config-source ${config.source}`;
+        this.recordingUrl = URL.createObjectURL(blob);
+        this.elements.playbackAudio.src = this.recordingUrl;
+        this.elements.recordingDownloadLink.href = this.recordingUrl;
+        this.elements.recordingDownloadLink.download = fileName;
+        this.elements.playbackSection.style.display = 'flex';
+        this.elements.transcriptionText.classList.add('seekable');
     }
 
     /**
-     * Get current configuration from form inputs
+     * Unload the player and release the recording
      */
-    getConfigFromForm() {
-        const hostname = this.elements.hostnameInput.value.trim();
-        const port = parseInt(this.elements.portInput.value, 10);
+    hideRecording() {
+        const audio = this.elements.playbackAudio;
+        audio.pause();
+        audio.removeAttribute('src');
+        audio.load();
         
-        if (!hostname) {
-            throw new Error('Hostname is required');
+        if (this.recordingUrl) {
+            URL.revokeObjectURL(this.recordingUrl);
+            this.recordingUrl = null;
         }
-        
-        if (isNaN(port) || port < 1 || port > 65535) {
-            throw new Error('Port must be a number between 1 and 65535');
+        this.elements.recordingDownloadLink.removeAttribute('href');
+        this.elements.playbackSection.style.display = 'none';
+        this.elements.transcriptionText.classList.remove('seekable');
+        this.highlightPlayingLine(null);
+    }
+
+    /**
+     * Highlight the final line covering a playback position (null clears the highlight)
+     */
+    highlightPlayingLine(time) {
+        let current = null;
+        if (time !== null) {
+            const lines = this.elements.transcriptionText.querySelectorAll('.transcription-line.final[data-start]');
+            current = Array.from(lines).find(line =>
+                time >= parseFloat(line.dataset.start) && time < parseFloat(line.dataset.end)
+            ) || null;
         }
         
-        return {
-            hostname: hostname,
-            port: port,
-            wsPath: '/ws',
-            httpPath: '/transcribe_pcm_chunk',
-            healthPath: '/health'
-        };
+        if (current === this.playingLine) return;
+        
+        if (this.playingLine) {
+            this.playingLine.classList.remove('playing');
+        }
+        this.playingLine = current;
+        if (current) {
+            current.classList.add('playing');
+            current.scrollIntoView({ block: 'nearest' });
+        }
     }
 
     /**
-     * Show configuration error
+     * Open the shortcut help overlay, or refresh it if already open
      */
-    showConfigError(message) {
-        this.showError(`Configuration Error: ${message}`);
+    showShortcutHelp(bindings, pushToTalkEnabled) {
+        const list = this.elements.shortcutList;
+        list.innerHTML = '';
+        
+        KeyboardShortcuts.ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            
+            const label = document.createElement('span');
+            label.className = 'shortcut-label';
+            label.textContent = this.i18n.t(action.label);
+            if (action.id === 'pushToTalk' && !pushToTalkEnabled) {
+                label.textContent += ` ${this.i18n.t('(off; enable it in the settings)')}`;
+                row.classList.add('disabled');
+            }
+            
+            const button = document.createElement('button');
+            button.className = 'shortcut-key';
+            button.dataset.shortcut = action.id;
+            button.textContent = bindings[action.id];
+            button.title = this.i18n.t('Click, then press the new key combination');
+            
+            row.appendChild(label);
+            row.appendChild(button);
+            list.appendChild(row);
+        });
+        
+        this.capturingShortcut = null;
+        if (this.elements.shortcutOverlay.style.display !== 'flex') {
+            this.elements.shortcutOverlay.style.display = 'flex';
+            this.elements.closeShortcutsButton.focus();
+        }
     }
 
     /**
-     * Show configuration success
+     * Close the shortcut help overlay
      */
-    showConfigSuccess(message) {
-        this.showSuccess(`Configuration: ${message}`);
+    hideShortcutHelp() {
+        if (this.elements.shortcutOverlay.style.display !== 'flex') return;
+        
+        this.capturingShortcut = null;
+        this.elements.shortcutOverlay.style.display = 'none';
+        this.onShortcutHelpClosed();
     }
 
     /**
-     * Toggle configuration section visibility
+     * Wait for a new key combination for a shortcut
      */
-    toggleConfigSection() {
-        const configSection = this.elements.configSection;
-        if (configSection.style.display === 'none') {
-            this.showConfigSection();
-        } else {
-            this.hideConfigSection();
-        }
+    startShortcutCapture(button) {
+        this.elements.shortcutList.querySelectorAll('.shortcut-key.capturing').forEach(other => {
+            other.classList.remove('capturing');
+            other.textContent = other.dataset.combo;
+        });
+        
+        this.capturingShortcut = button.dataset.shortcut;
+        button.dataset.combo = button.textContent;
+        button.textContent = this.i18n.t('Press keys…');
+        button.classList.add('capturing');
+        button.focus();
     }
 
     /**
-     * Show configuration section
+     * Keys pressed in the overlay: record a new combination, or close on Escape
      */
-    showConfigSection() {
-        this.elements.configSection.style.display = 'block';
-        this.elements.configToggleButton.querySelector('.btn-text').textContent = 'Hide Settings';
-        this.elements.configToggleButton.classList.add('active');
+    handleShortcutOverlayKey(event) {
+        if (!this.capturingShortcut) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.hideShortcutHelp();
+            }
+            return;
+        }
+        
+        // Wait for the key that goes with the modifiers
+        if (KeyboardShortcuts.isModifierKey(event)) return;
+        
+        event.preventDefault();
+        const action = this.capturingShortcut;
+        this.capturingShortcut = null;
+        
+        const combo = KeyboardShortcuts.fromEvent(event);
+        if (combo === 'Escape') {
+            // Cancel; "Reset to defaults" brings back Escape for stopping
+            const button = this.elements.shortcutList.querySelector('.shortcut-key.capturing');
+            button.classList.remove('capturing');
+            button.textContent = button.dataset.combo;
+            return;
+        }
+        this.onShortcutChange(action, combo);
     }
 
     /**
-     * Hide configuration section
+     * Update recording button states
      */
-    hideConfigSection() {
-        this.elements.configSection.style.display = 'none';
-        this.elements.configToggleButton.querySelector('.btn-text').textContent = 'Settings';
-        this.elements.configToggleButton.classList.remove('active');
+    updateRecordingState(isRecording) {
+        this.elements.recordButton.disabled = isRecording;
+        this.elements.stopButton.disabled = !isRecording;
+        
+        if (isRecording) {
+            this.elements.recordButton.querySelector('.btn-text').textContent = this.i18n.t('Recording...');
+            this.elements.recordButton.classList.add('recording');
+        } else {
+            this.elements.recordButton.querySelector('.btn-text').textContent = this.i18n.t('Start Recording');
+            this.elements.recordButton.classList.remove('recording');
+        }
+    }
+
+    /**
+     * Populate the microphone picker
+     */
+    renderInputDevices(devices, selectedDeviceId) {
+        const select = this.elements.inputDeviceSelect;
+        select.innerHTML = '';
+        
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = this.i18n.t('Default microphone');
+        select.appendChild(defaultOption);
+        
+        // 'default' and 'communications' are aliases for the default device
+        devices
+            .filter(device => device.deviceId && device.deviceId !== 'default' && device.deviceId !== 'communications')
+            .forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label;
+                select.appendChild(option);
+            });
+        
+        const isListed = Array.from(select.options).some(option => option.value === selectedDeviceId);
+        select.value = isListed ? selectedDeviceId : '';
+    }
+
+    /**
+     * Get the selected speed for streaming files, 1 being real time
+     */
+    getStreamSpeed() {
+        return parseFloat(this.elements.streamSpeedSelect.value) || 1;
+    }
+
+    /**
+     * Show how much of a streamed file has been sent, or hide the progress with null
+     */
+    updateStreamProgress(position, duration = 0) {
+        const status = this.elements.streamStatus;
+        if (position === null) {
+            status.style.display = 'none';
+            return;
+        }
+        
+        status.textContent = duration > 0 ?
+            this.i18n.t('Streaming file: {position} / {duration}', {
+                position: this.formatTime(position),
+                duration: this.formatTime(duration)
+            }) :
+            this.i18n.t('Decoding file for streaming...');
+        status.style.display = 'block';
+    }
+
+    /**
+     * Update upload button state
+     */
+    updateUploadButtonState(enabled) {
+        this.elements.uploadButton.disabled = !enabled;
+    }
+
+    /**
+     * Render the transcription queue as one card per file
+     */
+    renderQueue(items, counts) {
+        const list = this.elements.queueList;
+        this.elements.queueSection.style.display = items.length > 0 ? 'block' : 'none';
+        this.elements.queueSummary.textContent = this.formatQueueSummary(items.length, counts);
+        this.elements.retryFailedButton.disabled = counts.failed === 0;
+        this.elements.clearFinishedButton.disabled = counts.done === 0;
+        
+        list.innerHTML = '';
+        items.forEach((item, index) => {
+            const card = document.createElement('div');
+            card.className = `queue-item ${item.status}`;
+            card.dataset.itemId = item.id;
+            
+            const header = document.createElement('div');
+            header.className = 'queue-item-header';
+            
+            const name = document.createElement('span');
+            name.className = 'queue-item-name';
+            name.textContent = item.name;
+            
+            const status = document.createElement('span');
+            status.className = 'queue-item-status';
+            status.textContent = this.formatQueueStatus(item);
+            
+            const actions = document.createElement('div');
+            actions.className = 'queue-item-actions';
+            const active = TranscriptionQueue.isActive(item);
+            [
+                ['up', '↑', 'Move up', index === 0],
+                ['down', '↓', 'Move down', index === items.length - 1],
+                ['open', 'Open', 'Show in the transcript view', item.status !== 'done'],
+                ['retry', 'Retry', 'Transcribe again', item.status !== 'failed'],
+                ['stream', 'Stream', 'Replay through the live connection, like microphone input', false],
+                ['remove', '✕', 'Remove from the queue', active]
+            ].forEach(([action, label, title, disabled]) => {
+                // Only show the actions that make sense for the item's status
+                if ((action === 'open' || action === 'retry') && disabled) return;
+                
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.dataset.action = action;
+                button.textContent = this.i18n.t(label);
+                button.title = this.i18n.t(title);
+                button.disabled = disabled;
+                actions.appendChild(button);
+            });
+            
+            header.appendChild(name);
+            header.appendChild(status);
+            header.appendChild(actions);
+            card.appendChild(header);
+            
+            if (active) {
+                const progress = item.progress;
+                const bar = document.createElement('div');
+                bar.className = 'upload-progress-bar';
+                const fill = document.createElement('div');
+                fill.className = 'upload-progress-fill';
+                fill.style.width = progress && progress.total > 0 ? `${progress.completed / progress.total * 100}%` : '0%';
+                bar.appendChild(fill);
+                card.appendChild(bar);
+            }
+            
+            if (item.status === 'done') {
+                const transcript = document.createElement('div');
+                transcript.className = 'queue-item-transcript';
+                item.result.lines.forEach(line => {
+                    const row = document.createElement('p');
+                    row.dataset.time = this.formatTime(line.start);
+                    row.textContent = line.text;
+                    transcript.appendChild(row);
+                });
+                if (item.result.lines.length === 0) {
+                    transcript.appendChild(this.createPlaceholder('No speech detected'));
+                }
+                card.appendChild(transcript);
+            }
+            
+            if (item.status === 'failed' || (item.result && item.result.failedSegments.length > 0)) {
+                const error = document.createElement('div');
+                error.className = 'queue-item-error';
+                error.textContent = item.status === 'failed' ?
+                    item.error.message :
+                    this.i18n.t('Failed segment(s): {segments}', { segments: item.result.failedSegments.join(', ') });
+                card.appendChild(error);
+            }
+            
+            list.appendChild(card);
+        });
+    }
+
+    /**
+     * Describe an item's status, e.g. "Uploading • segment 2 of 5 • about 0:40 remaining"
+     */
+    formatQueueStatus(item) {
+        switch (item.status) {
+            case 'pending':
+                return this.i18n.t('Pending');
+            case 'decoding':
+                return this.i18n.t('Decoding');
+            case 'uploading': {
+                const progress = item.progress;
+                let text = this.i18n.t('Uploading');
+                if (item.label) {
+                    text += ` ${item.label}`;
+                }
+                if (progress && progress.total > 0) {
+                    text += ` • ${this.i18n.t('segment {current} of {total}', {
+                        current: Math.min(progress.completed + 1, progress.total),
+                        total: progress.total
+                    })}`;
+                    if (progress.etaSeconds !== null && progress.completed < progress.total) {
+                        text += ` • ${this.i18n.t('about {time} remaining', { time: this.formatTime(progress.etaSeconds) })}`;
+                    }
+                }
+                return text;
+            }
+            case 'done':
+                return this.i18n.t(item.result.failedSegments.length > 0 ? 'Done with errors' : 'Done');
+            default:
+                return this.i18n.t('Failed');
+        }
+    }
+
+    /**
+     * Summarise the queue, e.g. "5 files: 2 done, 1 uploading, 2 pending"
+     */
+    formatQueueSummary(total, counts) {
+        const labels = {
+            done: '{count} done', decoding: '{count} decoding', uploading: '{count} uploading',
+            pending: '{count} pending', failed: '{count} failed'
+        };
+        const parts = Object.keys(labels)
+            .filter(status => counts[status] > 0)
+            .map(status => this.i18n.t(labels[status], { count: counts[status] }));
+        return this.i18n.t(total === 1 ? '1 file: {parts}' : '{count} files: {parts}', { count: total, parts: parts.join(', ') });
+    }
+
+    /**
+     * Show an error; errors stay until dismissed
+     */
+    showError(message) {
+        return this.notifications.notify('error', message);
+    }
+
+    /**
+     * Show a warning
+     */
+    showWarning(message) {
+        return this.notifications.notify('warning', message);
+    }
+
+    /**
+     * Show success message
+     */
+    showSuccess(message) {
+        return this.notifications.notify('success', message);
+    }
+
+    /**
+     * Show informational message
+     */
+    showInfo(message) {
+        return this.notifications.notify('info', message);
+    }
+
+    /**
+     * Hide a notification returned by one of the show methods
+     */
+    dismissNotification(notification) {
+        if (notification) {
+            this.notifications.dismiss(notification.id);
+        }
+    }
+
+    /**
+     * Bring the toasts, the bell badge and the open history up to date
+     */
+    renderNotifications() {
+        const active = this.notifications.active;
+        
+        // Let dismissed toasts slide out before removing them
+        this.toastElements.forEach((element, id) => {
+            if (active.some(notification => notification.id === id)) return;
+            
+            this.toastElements.delete(id);
+            element.classList.add('leaving');
+            setTimeout(() => element.remove(), 300);
+        });
+        
+        active.forEach(notification => {
+            let element = this.toastElements.get(notification.id);
+            if (!element) {
+                element = this.createToast(notification);
+                this.toastElements.set(notification.id, element);
+                this.elements.notificationStack.appendChild(element);
+            }
+            this.updateNotificationCount(element, notification);
+        });
+        
+        const historyVisible = this.elements.notificationsSection.style.display !== 'none';
+        const unread = historyVisible ? 0 : this.notifications.unread;
+        this.elements.notificationBadge.textContent = unread > 99 ? '99+' : String(unread);
+        this.elements.notificationBadge.style.display = unread > 0 ? '' : 'none';
+        
+        if (historyVisible) {
+            this.renderNotificationHistory();
+        }
+    }
+
+    /**
+     * Create the element for a toast
+     */
+    createToast(notification) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${notification.severity}`;
+        element.setAttribute('role', notification.severity === 'error' ? 'alert' : 'status');
+        
+        const message = document.createElement('span');
+        message.className = 'notification-message';
+        message.textContent = notification.message;
+        
+        const count = document.createElement('span');
+        count.className = 'notification-count';
+        
+        const dismiss = document.createElement('button');
+        dismiss.className = 'notification-dismiss';
+        dismiss.dataset.notificationId = notification.id;
+        dismiss.textContent = '✕';
+        dismiss.title = this.i18n.t('Dismiss');
+        
+        element.appendChild(message);
+        element.appendChild(count);
+        element.appendChild(dismiss);
+        return element;
+    }
+
+    /**
+     * Show how often a notification was repeated
+     */
+    updateNotificationCount(element, notification) {
+        const count = element.querySelector('.notification-count');
+        count.textContent = `×${notification.count}`;
+        count.style.display = notification.count > 1 ? '' : 'none';
+    }
+
+    /**
+     * Render recent notifications, newest first
+     */
+    renderNotificationHistory() {
+        const list = this.elements.notificationHistory;
+        const history = this.notifications.history;
+        list.innerHTML = '';
+        
+        if (history.length === 0) {
+            list.appendChild(this.createPlaceholder('No notifications yet'));
+            return;
+        }
+        
+        history.forEach(notification => {
+            const entry = document.createElement('div');
+            entry.className = `notification-entry notification-${notification.severity}`;
+            
+            const time = document.createElement('span');
+            time.className = 'notification-time';
+            time.textContent = new Date(notification.lastAt).toLocaleTimeString();
+            if (notification.count > 1) {
+                time.title = this.i18n.t('First at {time}', { time: new Date(notification.firstAt).toLocaleTimeString() });
+            }
+            
+            const message = document.createElement('span');
+            message.className = 'notification-message';
+            message.textContent = notification.message;
+            
+            const count = document.createElement('span');
+            count.className = 'notification-count';
+            
+            entry.appendChild(time);
+            entry.appendChild(message);
+            entry.appendChild(count);
+            this.updateNotificationCount(entry, notification);
+            list.appendChild(entry);
+        });
+    }
+
+    /**
+     * Toggle the notification history; opening it marks everything as read
+     */
+    toggleNotificationsSection() {
+        const section = this.elements.notificationsSection;
+        const visible = section.style.display === 'none';
+        section.style.display = visible ? 'block' : 'none';
+        this.elements.notificationsToggleButton.classList.toggle('active', visible);
+        this.notifications.markRead();
+        this.renderNotifications();
+    }
+
+    /**
+     * Get selected file
+     */
+    getSelectedFile() {
+        return this.elements.fileInput.files[0] || null;
+    }
+
+    /**
+     * Clear file selection
+     */
+    clearFileSelection() {
+        this.elements.fileInput.value = '';
+        this.updateUploadButtonState(false);
+    }
+
+    /**
+     * Update configuration display
+     */
+    updateConfigDisplay() {
+        const config = this.config.getConfigSummary();
+        
+        this.updateProfileOptions(config.profile);
+        this.elements.hostnameInput.value = config.hostname;
+        this.elements.portInput.value = config.port === null ? '' : config.port;
+        this.updateModelOptions(config.model);
+        
+        const currentConfig = this.config.getCurrentConfig();
+        this.updateLanguageOptions(currentConfig.language);
+        this.elements.serverUrlInput.value = currentConfig.serverUrl;
+        this.elements.basePathInput.value = currentConfig.basePath;
+        this.elements.wsSchemeSelect.value = currentConfig.wsScheme;
+        this.elements.httpSchemeSelect.value = currentConfig.httpScheme;
+        this.elements.wsPathInput.value = currentConfig.wsPath;
+        this.elements.httpPathInput.value = currentConfig.httpPath;
+        this.elements.healthPathInput.value = currentConfig.healthPath;
+        this.updateEndpointState();
+        
+        this.elements.authModeSelect.value = currentConfig.authMode;
+        this.elements.authTokenInput.value = currentConfig.authToken;
+        this.elements.authTokenInput.type = 'password';
+        this.elements.showTokenButton.textContent = this.i18n.t('Show');
+        this.elements.authHeaderInput.value = currentConfig.authHeader;
+        this.elements.wsAuthMethodSelect.value = currentConfig.wsAuthMethod;
+        this.elements.wsAuthParamInput.value = currentConfig.wsAuthParam;
+        this.elements.authSessionOnlyInput.checked = currentConfig.authStorage === 'session';
+        this.updateAuthState();
+        
+        this.elements.segmentSecondsInput.value = currentConfig.segmentSeconds;
+        this.elements.segmentOverlapInput.value = currentConfig.segmentOverlapSeconds;
+        this.elements.channelModeSelect.value = currentConfig.channelMode;
+        this.elements.channelIndexInput.value = currentConfig.channelIndex + 1; // Shown 1-based
+        this.updateChannelIndexState();
+        
+        this.elements.vadEnabledInput.checked = currentConfig.vadEnabled;
+        this.elements.vadThresholdInput.value = currentConfig.vadThreshold;
+        this.elements.vadHangoverInput.value = currentConfig.vadHangoverMs;
+        this.elements.vadPreRollInput.value = currentConfig.vadPreRollMs;
+        this.elements.autoStopInput.value = currentConfig.autoStopSilenceSeconds;
+        this.elements.outageBufferInput.value = currentConfig.outageBufferSeconds;
+        this.elements.queueConcurrencyInput.value = currentConfig.queueConcurrency;
+        this.elements.healthIntervalInput.value = currentConfig.healthCheckSeconds;
+        this.elements.reconnectAttemptsInput.value = currentConfig.reconnectMaxAttempts;
+        this.elements.heartbeatInput.value = currentConfig.heartbeatSeconds;
+        this.elements.heartbeatPingInput.checked = currentConfig.heartbeatPing;
+        this.elements.keepRecordingInput.checked = currentConfig.keepRecording;
+        this.elements.pushToTalkInput.checked = currentConfig.pushToTalk;
+        
+        // Update source indicator with color coding
+        const sourceElement = this.elements.configSource;
+        sourceElement.textContent = config.source;
+        sourceElement.className = `config-source ${config.source}`;
+    }
+
+    /**
+     * Populate the profile picker and select the active profile
+     */
+    updateProfileOptions(activeProfile) {
+        const select = this.elements.profileSelect;
+        const names = this.config.listProfiles();
+        
+        // The active profile may not be saved yet on first use
+        if (!names.includes(activeProfile)) {
+            names.unshift(activeProfile);
+        }
+        
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = activeProfile;
+        
+        this.elements.deleteProfileButton.disabled = names.length < 2;
+    }
+
+    /**
+     * Trigger a browser download for generated text content
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Ask the user for a profile name
+     */
+    promptProfileName(message, defaultName = '') {
+        const name = window.prompt(message, defaultName);
+        return name === null ? null : name.trim();
+    }
+
+    /**
+     * Ask the user to confirm deleting a profile
+     */
+    confirmDeleteProfile(name) {
+        return window.confirm(this.i18n.t('Delete profile "{name}"?', { name: name }));
+    }
+
+    /**
+     * Disable the fields a full server URL overrides
+     */
+    updateEndpointState() {
+        const overridden = this.elements.serverUrlInput.value.trim() !== '';
+        ['hostnameInput', 'portInput', 'basePathInput', 'wsSchemeSelect', 'httpSchemeSelect'].forEach(name => {
+            this.elements[name].disabled = overridden;
+        });
+    }
+
+    /**
+     * Only enable the authentication fields that apply to the selected mode
+     */
+    updateAuthState() {
+        const mode = this.elements.authModeSelect.value;
+        const enabled = mode !== 'none';
+        
+        this.elements.authTokenInput.disabled = !enabled;
+        this.elements.showTokenButton.disabled = !enabled;
+        this.elements.authSessionOnlyInput.disabled = !enabled;
+        this.elements.wsAuthMethodSelect.disabled = !enabled;
+        this.elements.authHeaderInput.disabled = mode !== 'apiKey';
+        this.elements.wsAuthParamInput.disabled = !enabled || this.elements.wsAuthMethodSelect.value !== 'query';
+    }
+
+    /**
+     * Only enable the channel number when a single channel is picked
+     */
+    updateChannelIndexState() {
+        this.elements.channelIndexInput.disabled = this.elements.channelModeSelect.value !== 'channel';
+    }
+
+    /**
+     * Populate the model picker and select the given model
+     */
+    updateModelOptions(selectedModel) {
+        const select = this.elements.modelSelect;
+        const models = this.config.AVAILABLE_MODELS.slice();
+        
+        // Keep models set from the URL or storage selectable even if not in the list
+        if (!models.some(model => model.name === selectedModel)) {
+            models.push({ name: selectedModel, label: selectedModel });
+        }
+        
+        select.innerHTML = '';
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.name;
+            option.textContent = model.label;
+            select.appendChild(option);
+        });
+        select.value = selectedModel;
+    }
+
+    /**
+     * Populate the language picker, named in the interface language, and select the given language
+     */
+    updateLanguageOptions(selectedLanguage) {
+        const select = this.elements.languageSelect;
+        const languages = this.config.AVAILABLE_LANGUAGES.slice();
+        
+        // Keep languages set from the URL or storage selectable even if not in the list
+        if (!languages.includes(selectedLanguage)) {
+            languages.push(selectedLanguage);
+        }
+        
+        select.innerHTML = '';
+        languages.forEach(language => {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = language === 'auto' ? this.i18n.t('Auto-detect') : this.i18n.getLanguageName(language);
+            select.appendChild(option);
+        });
+        select.value = selectedLanguage;
+    }
+
+    /**
+     * Get current configuration from form inputs
+     */
+    getConfigFromForm() {
+        const config = this.config;
+        const serverUrl = this.elements.serverUrlInput.value.trim();
+        const hostname = this.elements.hostnameInput.value.trim();
+        const portValue = this.elements.portInput.value.trim();
+        const port = portValue ? Number(portValue) : null;
+        const basePath = this.elements.basePathInput.value.trim();
+        const wsPath = this.elements.wsPathInput.value.trim();
+        const httpPath = this.elements.httpPathInput.value.trim();
+        const healthPath = this.elements.healthPathInput.value.trim();
+        
+        if (serverUrl && !config.isValidServerUrl(serverUrl)) {
+            throw new Error(this.i18n.t('Server URL must be a full http(s) or ws(s) URL without query string'));
+        }
+        
+        if (!config.isValidHostname(hostname, serverUrl !== '')) {
+            throw new Error(this.i18n.t(hostname ? 'Hostname must not contain spaces, slashes or "@"' : 'Hostname is required'));
+        }
+        
+        if (port !== null && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+            throw new Error(this.i18n.t('Port must be empty or a number between 1 and 65535'));
+        }
+        
+        if (basePath && !config.isValidPath(basePath)) {
+            throw new Error(this.i18n.t('Base path must start with "/"'));
+        }
+        
+        if (![wsPath, httpPath, healthPath].every(path => config.isValidPath(path))) {
+            throw new Error(this.i18n.t('WebSocket, HTTP and health paths must start with "/" and have no query string'));
+        }
+        
+        const segmentSeconds = parseFloat(this.elements.segmentSecondsInput.value);
+        const segmentOverlapSeconds = parseFloat(this.elements.segmentOverlapInput.value);
+        
+        if (isNaN(segmentSeconds) || segmentSeconds < 5 || segmentSeconds > 600) {
+            throw new Error(this.i18n.t('Segment length must be between 5 and 600 seconds'));
+        }
+        
+        if (isNaN(segmentOverlapSeconds) || segmentOverlapSeconds < 0 || segmentOverlapSeconds >= segmentSeconds) {
+            throw new Error(this.i18n.t('Segment overlap must be at least 0 and shorter than the segment'));
+        }
+        
+        const queueConcurrency = parseInt(this.elements.queueConcurrencyInput.value, 10);
+        
+        if (isNaN(queueConcurrency) || queueConcurrency < 1 || queueConcurrency > 8) {
+            throw new Error(this.i18n.t('Parallel files must be between 1 and 8'));
+        }
+        
+        const channelMode = this.elements.channelModeSelect.value;
+        const channelNumber = parseInt(this.elements.channelIndexInput.value, 10);
+        
+        if (channelMode === 'channel' && (isNaN(channelNumber) || channelNumber < 1)) {
+            throw new Error(this.i18n.t('Channel must be a number starting at 1'));
+        }
+        
+        const vadThreshold = parseFloat(this.elements.vadThresholdInput.value);
+        const vadHangoverMs = parseInt(this.elements.vadHangoverInput.value, 10);
+        const vadPreRollMs = parseInt(this.elements.vadPreRollInput.value, 10);
+        const autoStopSilenceSeconds = parseFloat(this.elements.autoStopInput.value || '0');
+        
+        if (isNaN(vadThreshold) || vadThreshold <= 0 || vadThreshold >= 1) {
+            throw new Error(this.i18n.t('Voice threshold must be between 0 and 1'));
+        }
+        
+        if (isNaN(vadHangoverMs) || vadHangoverMs < 0 || isNaN(vadPreRollMs) || vadPreRollMs < 0) {
+            throw new Error(this.i18n.t('Hangover and pre-roll must be 0 or more milliseconds'));
+        }
+        
+        if (isNaN(autoStopSilenceSeconds) || autoStopSilenceSeconds < 0) {
+            throw new Error(this.i18n.t('Auto-stop must be 0 or more seconds'));
+        }
+        
+        const authMode = this.elements.authModeSelect.value;
+        const authToken = this.elements.authTokenInput.value.trim();
+        const authHeader = this.elements.authHeaderInput.value.trim();
+        const wsAuthMethod = this.elements.wsAuthMethodSelect.value;
+        const wsAuthParam = this.elements.wsAuthParamInput.value.trim();
+        
+        if (authMode !== 'none') {
+            if (!authToken) {
+                throw new Error(this.i18n.t('Enter a token or set authentication to None'));
+            }
+            
+            if (authMode === 'apiKey' && !config.isValidHeaderName(authHeader)) {
+                throw new Error(this.i18n.t('API key header must be a valid header name, e.g. X-API-Key'));
+            }
+            
+            if (wsAuthMethod === 'subprotocol' && !config.isValidSubprotocolToken(authToken)) {
+                throw new Error(this.i18n.t('This token has characters a WebSocket subprotocol cannot carry; send it as a query parameter instead'));
+            }
+            
+            if (wsAuthMethod === 'query' && !wsAuthParam) {
+                throw new Error(this.i18n.t('Query parameter name is required'));
+            }
+        }
+        
+        const outageBufferSeconds = parseFloat(this.elements.outageBufferInput.value);
+        
+        if (isNaN(outageBufferSeconds) || outageBufferSeconds < 0 || outageBufferSeconds > 600) {
+            throw new Error(this.i18n.t('Outage buffer must be between 0 and 600 seconds'));
+        }
+        
+        const healthCheckSeconds = parseFloat(this.elements.healthIntervalInput.value || '0');
+        
+        if (isNaN(healthCheckSeconds) || (healthCheckSeconds !== 0 && (healthCheckSeconds < 2 || healthCheckSeconds > 3600))) {
+            throw new Error(this.i18n.t('Health check interval must be 0 (off) or between 2 and 3600 seconds'));
+        }
+        
+        const reconnectMaxAttempts = parseInt(this.elements.reconnectAttemptsInput.value || '0', 10);
+        const heartbeatSeconds = parseFloat(this.elements.heartbeatInput.value || '0');
+        
+        if (isNaN(reconnectMaxAttempts) || reconnectMaxAttempts < 0 || reconnectMaxAttempts > 1000) {
+            throw new Error(this.i18n.t('Reconnect attempts must be between 0 (unlimited) and 1000'));
+        }
+        
+        if (isNaN(heartbeatSeconds) || (heartbeatSeconds !== 0 && (heartbeatSeconds < 5 || heartbeatSeconds > 300))) {
+            throw new Error(this.i18n.t('Heartbeat interval must be 0 (off) or between 5 and 300 seconds'));
+        }
+        
+        return {
+            hostname: hostname,
+            port: port,
+            wsScheme: this.elements.wsSchemeSelect.value,
+            httpScheme: this.elements.httpSchemeSelect.value,
+            basePath: basePath,
+            serverUrl: serverUrl,
+            wsPath: wsPath,
+            httpPath: httpPath,
+            healthPath: healthPath,
+            authMode: authMode,
+            authHeader: config.isValidHeaderName(authHeader) ? authHeader : 'X-API-Key',
+            wsAuthMethod: wsAuthMethod,
+            wsAuthParam: wsAuthParam || 'token',
+            authToken: authMode === 'none' ? '' : authToken,
+            authStorage: this.elements.authSessionOnlyInput.checked ? 'session' : 'local',
+            model: this.elements.modelSelect.value,
+            language: this.elements.languageSelect.value,
+            segmentSeconds: segmentSeconds,
+            segmentOverlapSeconds: segmentOverlapSeconds,
+            queueConcurrency: queueConcurrency,
+            channelMode: channelMode,
+            channelIndex: isNaN(channelNumber) || channelNumber < 1 ? 0 : channelNumber - 1,
+            vadEnabled: this.elements.vadEnabledInput.checked,
+            vadThreshold: vadThreshold,
+            vadHangoverMs: vadHangoverMs,
+            vadPreRollMs: vadPreRollMs,
+            autoStopSilenceSeconds: autoStopSilenceSeconds,
+            outageBufferSeconds: outageBufferSeconds,
+            healthCheckSeconds: healthCheckSeconds,
+            reconnectMaxAttempts: reconnectMaxAttempts,
+            heartbeatSeconds: heartbeatSeconds,
+            heartbeatPing: this.elements.heartbeatPingInput.checked,
+            keepRecording: this.elements.keepRecordingInput.checked,
+            pushToTalk: this.elements.pushToTalkInput.checked,
+            // Chosen from the microphone picker and the shortcut overlay rather than the settings form
+            inputDeviceId: config.getCurrentConfig().inputDeviceId,
+            shortcuts: config.getCurrentConfig().shortcuts
+        };
+    }
+
+    /**
+     * Show configuration error
+     */
+    showConfigError(message) {
+        this.showError(this.i18n.t('Configuration Error: {message}', { message: message }));
+    }
+
+    /**
+     * Show configuration success
+     */
+    showConfigSuccess(message) {
+        this.showSuccess(this.i18n.t('Configuration: {message}', { message: message }));
+    }
+
+    /**
+     * Toggle configuration section visibility
+     */
+    toggleConfigSection() {
+        const configSection = this.elements.configSection;
+        if (configSection.style.display === 'none') {
+            this.showConfigSection();
+        } else {
+            this.hideConfigSection();
+        }
+    }
+
+    /**
+     * Show configuration section
+     */
+    showConfigSection() {
+        this.elements.configSection.style.display = 'block';
+        this.elements.configToggleButton.querySelector('.btn-text').textContent = this.i18n.t('Hide Settings');
+        this.elements.configToggleButton.classList.add('active');
+    }
+
+    /**
+     * Hide configuration section
+     */
+    hideConfigSection() {
+        this.elements.configSection.style.display = 'none';
+        this.elements.configToggleButton.querySelector('.btn-text').textContent = this.i18n.t('Settings');
+        this.elements.configToggleButton.classList.remove('active');
+    }
+
+    /**
+     * Render the list of saved sessions
+     */
+    renderHistory(sessions) {
+        const list = this.elements.historyList;
+        list.innerHTML = '';
+        
+        if (sessions.length === 0) {
+            list.appendChild(this.createPlaceholder('No saved sessions yet'));
+            return;
+        }
+        
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.dataset.sessionId = session.id;
+            
+            const info = document.createElement('div');
+            info.className = 'history-info';
+            
+            const title = document.createElement('span');
+            title.className = 'history-title';
+            title.textContent = session.title;
+            
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            meta.textContent = this.formatSessionMeta(session);
+            
+            info.appendChild(title);
+            info.appendChild(meta);
+            
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            [['open', 'Open'], ['rename', 'Rename'], ['delete', 'Delete']].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.dataset.action = action;
+                button.textContent = this.i18n.t(label);
+                actions.appendChild(button);
+            });
+            
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Build the secondary description line for a session
+     */
+    formatSessionMeta(session) {
+        const parts = [
+            this.i18n.t({ upload: 'Upload', stream: 'Stream' }[session.type] || 'Recording'),
+            new Date(session.startedAt).toLocaleString()
+        ];
+        
+        if (session.endedAt) {
+            const seconds = Math.round((session.endedAt - session.startedAt) / 1000);
+            parts.push(`${Math.floor(seconds / 60)}m ${seconds % 60}s`);
+        }
+        
+        if (session.serverConfig) {
+            parts.push(this.config.getServerLabel(session.serverConfig));
+        }
+        
+        parts.push(this.i18n.t(session.lines.length === 1 ? '1 line' : '{count} lines', { count: session.lines.length }));
+        return parts.join(' • ');
+    }
+
+    /**
+     * Ask the user for a new session title
+     */
+    promptSessionTitle(currentTitle) {
+        const title = window.prompt(this.i18n.t('Session name:'), currentTitle);
+        return title === null ? null : title.trim();
+    }
+
+    /**
+     * Ask the user to confirm deleting a session
+     */
+    confirmDeleteSession(title) {
+        return window.confirm(this.i18n.t('Delete session "{title}"? This cannot be undone.', { title: title }));
+    }
+
+    /**
+     * Show the latest health check in the status bar badge
+     */
+    updateHealthBadge(result, enabled = true) {
+        const badge = this.elements.healthBadge;
+        badge.classList.toggle('healthy', Boolean(enabled && result && result.ok));
+        badge.classList.toggle('unhealthy', Boolean(enabled && result && !result.ok));
+        
+        if (!enabled) {
+            badge.textContent = this.i18n.t('Health: off');
+        } else if (!result) {
+            badge.textContent = this.i18n.t('Health: –');
+        } else if (result.ok) {
+            badge.textContent = this.i18n.t('Server OK • {latency} ms', { latency: result.latencyMs });
+        } else {
+            badge.textContent = this.i18n.t(result.reachable ? 'Server error' : 'Server down');
+        }
+    }
+
+    /**
+     * Fill the server info panel
+     */
+    updateServerInfo(summary, result, history, stats) {
+        const elements = this.elements;
+        const info = result && result.info ? result.info : {};
+        const show = value => value === null || value === undefined || value === '' ?
+            '–' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        
+        elements.serverHttpUrl.textContent = summary.httpUrl;
+        elements.serverWsUrl.textContent = summary.wsUrl;
+        
+        if (!result) {
+            elements.serverStatus.textContent = '–';
+        } else if (result.ok) {
+            elements.serverStatus.textContent = info.status ?
+                this.i18n.t('Healthy ({status})', { status: show(info.status) }) :
+                this.i18n.t('Healthy');
+        } else {
+            elements.serverStatus.textContent = this.i18n.t('Unhealthy: {error}', { error: result.error });
+        }
+        
+        elements.serverLastCheck.textContent = result ? new Date(result.time).toLocaleTimeString() : '–';
+        elements.serverVersion.textContent = show(info.version);
+        elements.serverModel.textContent = show(info.model);
+        elements.serverLatency.textContent = stats ?
+            this.i18n.t('{latency} ms (min {min}, avg {avg}, max {max})', {
+                latency: result && result.ok ? result.latencyMs : '–',
+                min: stats.min,
+                avg: stats.avg,
+                max: stats.max
+            }) : '–';
+        
+        // One bar per check, scaled to the slowest response
+        const container = elements.latencyHistory;
+        const maxLatency = stats ? Math.max(stats.max, 1) : 1;
+        container.innerHTML = '';
+        history.forEach(entry => {
+            const bar = document.createElement('span');
+            bar.className = entry.ok ? 'latency-bar' : 'latency-bar failed';
+            bar.style.height = entry.ok ? `${Math.max(8, entry.latencyMs / maxLatency * 100)}%` : '100%';
+            bar.title = `${new Date(entry.time).toLocaleTimeString()}: ${entry.ok ? `${entry.latencyMs} ms` : this.i18n.t('failed')}`;
+            container.appendChild(bar);
+        });
+    }
+
+    /**
+     * Toggle server info section visibility
+     */
+    toggleServerInfoSection() {
+        const section = this.elements.serverInfoSection;
+        const visible = section.style.display === 'none';
+        section.style.display = visible ? 'block' : 'none';
+        this.elements.healthBadge.classList.toggle('active', visible);
+    }
+
+    /**
+     * Toggle metrics panel visibility, returning whether it is now shown
+     */
+    toggleMetricsSection() {
+        const section = this.elements.metricsSection;
+        const visible = section.style.display === 'none';
+        section.style.display = visible ? 'block' : 'none';
+        this.elements.metricsToggleButton.classList.toggle('active', visible);
+        return visible;
+    }
+
+    /**
+     * Show a metrics snapshot
+     */
+    updateMetrics(snapshot, bufferedAmount, skippedChunks) {
+        const latency = summary => summary ?
+            this.i18n.t('{last} ms (avg {avg} ms, max {max} ms)', summary) :
+            '–';
+        
+        this.elements.metricsThroughput.textContent =
+            this.i18n.t('{rate} chunks/s • {bytes}/s', {
+                rate: snapshot.chunksPerSecond.toFixed(1),
+                bytes: this.formatBytes(snapshot.bytesPerSecond)
+            });
+        this.elements.metricsTotal.textContent =
+            this.i18n.t('{count} chunks • {bytes}', { count: snapshot.totalChunks, bytes: this.formatBytes(snapshot.totalBytes) });
+        this.elements.metricsBuffered.textContent = this.formatBytes(bufferedAmount);
+        this.elements.metricsBuffered.classList.toggle('warning', bufferedAmount > 0);
+        this.elements.metricsSkipped.textContent = String(skippedChunks);
+        this.elements.metricsFirstPartial.textContent = snapshot.firstPartialLatency && snapshot.firstPartialIncludesSilence ?
+            this.i18n.t('{latency}, including silence before speech', { latency: latency(snapshot.firstPartialLatency) }) :
+            latency(snapshot.firstPartialLatency);
+        this.elements.metricsFinal.textContent = latency(snapshot.finalLatency);
+        this.elements.metricsReconnects.textContent = String(snapshot.reconnects);
+    }
+
+    /**
+     * Format a byte count as B, KB or MB
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${Math.round(bytes)} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Toggle history section visibility
+     */
+    toggleHistorySection() {
+        if (this.elements.historySection.style.display === 'none') {
+            this.elements.historySection.style.display = 'block';
+            this.elements.historyToggleButton.classList.add('active');
+        } else {
+            this.elements.historySection.style.display = 'none';
+            this.elements.historyToggleButton.classList.remove('active');
+        }
     }
 
     // Event handler callbacks (to be set by main app)
@@ -388,6 +2011,32 @@ class UI {
     onFileSelected = null;
     onUploadButtonClick = null;
     onFileDropped = null;
+    onHistorySessionOpen = null;
+    onHistorySessionRename = null;
+    onHistorySessionDelete = null;
+    onExportSubtitlesClick = null;
+    onInputDeviceChange = null;
+    onProfileSwitch = null;
+    onProfileCreate = null;
+    onProfileRename = null;
+    onProfileDelete = null;
+    onProfilesExport = null;
+    onProfilesImport = null;
+    onHealthCheckClick = null;
+    onReconnectClick = null;
+    onQueueItemAction = null;
+    onShortcutHelpClick = null;
+    onMetricsToggle = null;
+    onResetMetricsClick = null;
+    onShortcutHelpClosed = null;
+    onShortcutChange = null;
+    onShortcutsReset = null;
+    onTranscriptEdit = null;
+    onTranscriptUndo = null;
+    onTranscriptRedo = null;
+    onCopyTranscriptClick = null;
+    onQueueRetryFailed = null;
+    onQueueClearFinished = null;
 
     /**
      * Set event handler callbacks
@@ -400,6 +2049,32 @@ class UI {
         this.onFileSelected = handlers.onFileSelected;
         this.onUploadButtonClick = handlers.onUploadButtonClick;
         this.onFileDropped = handlers.onFileDropped;
+        this.onHistorySessionOpen = handlers.onHistorySessionOpen;
+        this.onHistorySessionRename = handlers.onHistorySessionRename;
+        this.onHistorySessionDelete = handlers.onHistorySessionDelete;
+        this.onExportSubtitlesClick = handlers.onExportSubtitlesClick;
+        this.onInputDeviceChange = handlers.onInputDeviceChange;
+        this.onProfileSwitch = handlers.onProfileSwitch;
+        this.onProfileCreate = handlers.onProfileCreate;
+        this.onProfileRename = handlers.onProfileRename;
+        this.onProfileDelete = handlers.onProfileDelete;
+        this.onProfilesExport = handlers.onProfilesExport;
+        this.onProfilesImport = handlers.onProfilesImport;
+        this.onHealthCheckClick = handlers.onHealthCheckClick;
+        this.onReconnectClick = handlers.onReconnectClick;
+        this.onQueueItemAction = handlers.onQueueItemAction;
+        this.onShortcutHelpClick = handlers.onShortcutHelpClick;
+        this.onMetricsToggle = handlers.onMetricsToggle;
+        this.onResetMetricsClick = handlers.onResetMetricsClick;
+        this.onShortcutHelpClosed = handlers.onShortcutHelpClosed;
+        this.onShortcutChange = handlers.onShortcutChange;
+        this.onShortcutsReset = handlers.onShortcutsReset;
+        this.onTranscriptEdit = handlers.onTranscriptEdit;
+        this.onTranscriptUndo = handlers.onTranscriptUndo;
+        this.onTranscriptRedo = handlers.onTranscriptRedo;
+        this.onCopyTranscriptClick = handlers.onCopyTranscriptClick;
+        this.onQueueRetryFailed = handlers.onQueueRetryFailed;
+        this.onQueueClearFinished = handlers.onQueueClearFinished;
     }
 }
 
@@ -436,4 +2111,4 @@ style.textContent = `
 document.head.appendChild(style);
 
 // Export for use in other modules
-window.UI = UI; 
\ No newline at end of file
+export { UI };
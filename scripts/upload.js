@@ -0,0 +1,135 @@
+/**
+ * Segmented file transcription for Whisper Flow frontend
+ * Sends long recordings to the HTTP endpoint one segment at a time
+ */
+
+import { FileAudioProcessor } from './audio.js';
+import { AuthenticationError } from './websocket.js';
+
+class SegmentedTranscriber {
+    constructor(websocket, options = {}) {
+        this.websocket = websocket;
+        this.sampleRate = options.sampleRate || 16000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelay = options.retryDelay || 1000; // Doubled after each failed attempt
+        this.onProgress = null; // Callback for progress updates
+    }
+
+    /**
+     * Transcribe segments in order, retrying failed segments individually
+     * Resolves with the per-segment results and the stitched transcript
+     */
+    async transcribe(segments) {
+        const startTime = Date.now();
+        const totalSeconds = segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+        let processedSeconds = 0;
+        const results = [];
+
+        for (const segment of segments) {
+            this.reportProgress(results.length, segments.length, processedSeconds, totalSeconds, startTime);
+
+            const result = { segment: segment, text: '', error: null };
+            try {
+                result.text = await this.transcribeSegment(segment);
+            } catch (error) {
+                // Every remaining segment would be rejected too
+                if (error instanceof AuthenticationError) {
+                    throw error;
+                }
+                console.error(`Segment ${segment.index + 1} failed after ${this.maxRetries + 1} attempts:`, error);
+                result.error = error;
+            }
+
+            results.push(result);
+            processedSeconds += segment.end - segment.start;
+        }
+
+        this.reportProgress(results.length, segments.length, processedSeconds, totalSeconds, startTime);
+
+        const texts = SegmentedTranscriber.stitchTexts(results.map(result => result.text));
+        results.forEach((result, index) => {
+            result.text = texts[index];
+        });
+
+        return {
+            text: texts.filter(text => text).join(' '),
+            segments: results,
+            failedSegments: results.filter(result => result.error).map(result => result.segment.index)
+        };
+    }
+
+    /**
+     * Send one segment, retrying with exponential backoff
+     */
+    async transcribeSegment(segment) {
+        const pcmData = FileAudioProcessor.convertToPCM(segment.samples);
+        const pcmFile = new File([pcmData], `segment-${segment.index}.pcm`, { type: 'application/octet-stream' });
+        let delay = this.retryDelay;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await this.websocket.sendFileForTranscription(pcmFile);
+                return (result && result.text ? result.text : '').trim();
+            } catch (error) {
+                if (attempt >= this.maxRetries || error instanceof AuthenticationError) {
+                    throw error;
+                }
+
+                console.warn(`Segment ${segment.index + 1} failed, retrying in ${delay}ms:`, error);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay *= 2;
+            }
+        }
+    }
+
+    /**
+     * Report progress with an ETA based on audio processed so far
+     */
+    reportProgress(completed, total, processedSeconds, totalSeconds, startTime) {
+        if (!this.onProgress) return;
+
+        const elapsed = (Date.now() - startTime) / 1000;
+        const etaSeconds = processedSeconds > 0 ?
+            elapsed / processedSeconds * (totalSeconds - processedSeconds) :
+            null;
+
+        this.onProgress({
+            completed: completed,
+            total: total,
+            etaSeconds: etaSeconds
+        });
+    }
+
+    /**
+     * Remove words repeated at segment boundaries because of the overlap
+     */
+    static stitchTexts(texts, maxOverlapWords = 12) {
+        const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+        const stitched = [];
+        let previousWords = [];
+
+        texts.forEach(text => {
+            const words = text ? text.split(/\s+/).filter(word => word) : [];
+            const limit = Math.min(maxOverlapWords, previousWords.length, words.length);
+            let overlap = 0;
+
+            for (let count = limit; count > 0; count--) {
+                const tail = previousWords.slice(-count).map(normalize).join(' ');
+                const head = words.slice(0, count).map(normalize).join(' ');
+                if (tail === head) {
+                    overlap = count;
+                    break;
+                }
+            }
+
+            stitched.push(words.slice(overlap).join(' '));
+            // An empty or failed segment breaks the chain, so its neighbours don't share an overlap
+            previousWords = words;
+        });
+
+        return stitched;
+    }
+}
+
+// Export for use in other modules
+export { SegmentedTranscriber };
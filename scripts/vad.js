@@ -0,0 +1,117 @@
+/**
+ * Voice activity detection for Whisper Flow frontend
+ * Energy/zero-crossing detector that decides which PCM chunks carry speech
+ */
+
+class VoiceActivityDetector {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.gateAudio = options.gateAudio !== undefined ? options.gateAudio : true; // Drop chunks judged silent
+        this.energyThreshold = options.energyThreshold || 0.01; // RMS level (0-1) treated as speech
+        this.zeroCrossingThreshold = options.zeroCrossingThreshold || 0.25; // Crossings per sample for quiet fricatives
+        this.hangoverMs = options.hangoverMs !== undefined ? options.hangoverMs : 400; // Audio kept after speech ends
+        this.preRollMs = options.preRollMs !== undefined ? options.preRollMs : 300; // Audio sent before speech starts
+        this.silenceTimeoutMs = options.silenceTimeoutMs || 0; // 0 disables the silence timeout
+
+        this.reset();
+    }
+
+    /**
+     * Reset state for a new recording
+     */
+    reset() {
+        this.preRoll = []; // Recent silent chunks, oldest first
+        this.preRollDurationMs = 0;
+        this.hangoverRemainingMs = 0;
+        this.silenceMs = 0;
+        this.silenceTimedOut = false;
+    }
+
+    /**
+     * Measure RMS energy and zero-crossing rate of an int16 PCM chunk
+     */
+    static analyze(pcmBuffer) {
+        const samples = new Int16Array(pcmBuffer);
+        let sumSquares = 0;
+        let crossings = 0;
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i] / 32768;
+            sumSquares += sample * sample;
+            if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+                crossings++;
+            }
+        }
+
+        return {
+            rms: samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0,
+            zeroCrossingRate: samples.length > 1 ? crossings / (samples.length - 1) : 0
+        };
+    }
+
+    /**
+     * Classify a chunk as speech
+     * Loud chunks are speech; quieter chunks count when their zero-crossing rate
+     * suggests unvoiced sounds such as "s" or "f"
+     */
+    isSpeech(features) {
+        return features.rms >= this.energyThreshold ||
+            (features.rms >= this.energyThreshold / 2 && features.zeroCrossingRate >= this.zeroCrossingThreshold);
+    }
+
+    /**
+     * Process one chunk
+     * Returns the chunks to send (pre-roll first), whether the chunk is speech,
+     * and whether the silence timeout has just been reached
+     */
+    process(pcmBuffer) {
+        const durationMs = new Int16Array(pcmBuffer).length / this.sampleRate * 1000;
+        const speech = this.isSpeech(VoiceActivityDetector.analyze(pcmBuffer));
+        let chunks = [];
+
+        if (speech) {
+            chunks = this.preRoll.concat([pcmBuffer]);
+            this.preRoll = [];
+            this.preRollDurationMs = 0;
+            this.hangoverRemainingMs = this.hangoverMs;
+            this.silenceMs = 0;
+        } else {
+            this.silenceMs += durationMs;
+
+            if (this.hangoverRemainingMs > 0) {
+                chunks = [pcmBuffer];
+                this.hangoverRemainingMs -= durationMs;
+            } else {
+                this.addToPreRoll(pcmBuffer, durationMs);
+            }
+        }
+
+        let silenceTimedOut = false;
+        if (this.silenceTimeoutMs > 0 && !this.silenceTimedOut && this.silenceMs >= this.silenceTimeoutMs) {
+            this.silenceTimedOut = true;
+            silenceTimedOut = true;
+        }
+
+        return {
+            chunks: this.gateAudio ? chunks : [pcmBuffer],
+            isSpeech: speech,
+            silenceTimedOut: silenceTimedOut
+        };
+    }
+
+    /**
+     * Keep the most recent silent audio so speech onsets aren't clipped
+     */
+    addToPreRoll(pcmBuffer, durationMs) {
+        this.preRoll.push(pcmBuffer);
+        this.preRollDurationMs += durationMs;
+
+        while (this.preRoll.length > 0 && this.preRollDurationMs > this.preRollMs) {
+            const dropped = this.preRoll.shift();
+            this.preRollDurationMs -= new Int16Array(dropped).length / this.sampleRate * 1000;
+        }
+    }
+}
+
+// Export for use in other modules
+export { VoiceActivityDetector };
@@ -3,19 +3,150 @@
  * Handles real-time connection to the whisper-flow server
  */
 
-class WhisperWebSocket {
-    constructor(config = null) {
-        // Use provided config or get from global config
-        this.config = config || window.WhisperFlowConfig;
+import { Emitter } from './emitter.js';
+import { ProtocolParser } from './protocol.js';
+
+/**
+ * Bounded ring buffer of audio chunks
+ * When full, the oldest chunk is overwritten
+ */
+class AudioChunkBuffer {
+    constructor(capacity) {
+        this.setCapacity(capacity);
+    }
+
+    /**
+     * Change the capacity (in chunks), discarding anything buffered
+     */
+    setCapacity(capacity) {
+        this.capacity = Math.max(0, Math.floor(capacity));
+        this.chunks = new Array(this.capacity);
+        this.clear();
+    }
+
+    /**
+     * Append a chunk, returning true if an older chunk had to be dropped
+     */
+    push(chunk) {
+        if (this.capacity === 0) {
+            this.droppedChunks++;
+            this.droppedBytes += chunk.byteLength;
+            return true;
+        }
+
+        let overflowed = false;
+        if (this.length === this.capacity) {
+            const dropped = this.shift();
+            this.droppedChunks++;
+            this.droppedBytes += dropped.byteLength;
+            overflowed = true;
+        }
+
+        this.chunks[(this.head + this.length) % this.capacity] = chunk;
+        this.length++;
+        this.byteLength += chunk.byteLength;
+        return overflowed;
+    }
+
+    /**
+     * Remove and return the oldest chunk
+     */
+    shift() {
+        if (this.length === 0) return null;
+
+        const chunk = this.chunks[this.head];
+        this.chunks[this.head] = undefined;
+        this.head = (this.head + 1) % this.capacity;
+        this.length--;
+        this.byteLength -= chunk.byteLength;
+        return chunk;
+    }
+
+    /**
+     * Discard all buffered chunks and reset drop counters
+     */
+    clear() {
+        this.chunks.fill(undefined);
+        this.head = 0;
+        this.length = 0;
+        this.byteLength = 0;
+        this.resetDropped();
+    }
+
+    /**
+     * Reset drop counters, e.g. once an outage is over
+     */
+    resetDropped() {
+        this.droppedChunks = 0;
+        this.droppedBytes = 0;
+    }
+}
+
+/**
+ * Raised when the server rejects the configured credentials
+ */
+class AuthenticationError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.status = status; // HTTP status or WebSocket close code
+    }
+}
+
+/**
+ * Events (CustomEvent, payload in event.detail):
+ *   message          - parsed server message from ProtocolParser
+ *   statechange      - connection status from getConnectionStatus(), on every state change
+ *   connectionchange - { isConnected, state }, when entering or leaving 'open'
+ *   error            - { error }, when the connection gives up (e.g. rejected credentials) or
+ *                      a reconnect started by a health check fails
+ *   bufferchange     - { pendingChunks, pendingBytes, droppedChunks, droppedBytes }
+ *   audiosent        - { bytes }, for each audio chunk handed to the socket
+ */
+class WhisperWebSocket extends Emitter {
+    constructor(config) {
+        super();
+        this.config = config; // WhisperFlowConfig to read the server address and credentials from
         this.serverUrl = this.config.getWebSocketURL();
         this.websocket = null;
-        this.isConnected = false;
+        this.state = 'idle'; // 'idle', 'connecting', 'open', 'reconnecting' or 'failed'
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 1000; // Start with 1 second
-        this.onMessage = null;
-        this.onConnectionChange = null;
-        this.onError = null;
+        this.reconnectTimer = null;
+        this.nextAttemptAt = null; // When the scheduled reconnect attempt runs
+        this.authFailed = false; // Set when the server rejected our credentials; stops reconnecting
+        this.serverReachable = true; // Cleared by failed health checks to hold off reconnecting
+        this.heartbeatTimer = null;
+        this.lastReceivedAt = null;
+        this.awaitingReplySince = null; // First ping the server has not answered yet
+        this.pongReceived = false; // The server answers pings, so silence after one means trouble
+        this.lastBufferedAmount = 0; // bufferedAmount at the previous heartbeat
+        this.bytesSentSinceHeartbeat = 0; // Bytes handed to the socket since the previous heartbeat
+        this.bufferStalledSince = null; // When queued audio stopped draining
+        this.pingSequence = 0;
+        this.protocol = new ProtocolParser();
+        this.pendingAudio = new AudioChunkBuffer(0); // Audio held while disconnected
+    }
+
+    /**
+     * Whether the socket is open
+     */
+    get isConnected() {
+        return this.state === 'open';
+    }
+
+    /**
+     * Move to a new connection state, notifying listeners
+     * The connectionchange event only fires when entering or leaving 'open'
+     */
+    setState(state) {
+        const previousState = this.state;
+        this.state = state;
+        
+        this.emit('statechange', this.getConnectionStatus());
+        
+        if ((state === 'open') !== (previousState === 'open')) {
+            this.emit('connectionchange', { isConnected: state === 'open', state: state });
+        }
     }
 
     /**
@@ -25,72 +156,303 @@ class WhisperWebSocket {
         try {
             // Update server URL from current config
             this.serverUrl = this.config.getWebSocketURL();
-            console.log('Connecting to Whisper Flow server...', this.serverUrl);
+            console.log('Connecting to Whisper Flow server...', this.config.getWebSocketURL(false));
             
-            this.websocket = new WebSocket(this.serverUrl);
+            // Retries keep the 'reconnecting' state so the UI doesn't flicker between attempts
+            if (this.state !== 'reconnecting') {
+                this.setState('connecting');
+            }
+            
+            const protocols = this.config.getWebSocketProtocols();
+            const socket = protocols.length > 0 ? new WebSocket(this.serverUrl, protocols) : new WebSocket(this.serverUrl);
+            this.websocket = socket;
+            let opened = false;
             
-            this.websocket.onopen = () => {
+            socket.onopen = () => {
                 console.log('Connected to Whisper Flow server');
-                this.isConnected = true;
+                opened = true;
+                this.authFailed = false;
                 this.reconnectAttempts = 0;
-                this.reconnectDelay = 1000;
-                
-                if (this.onConnectionChange) {
-                    this.onConnectionChange(true);
-                }
+                this.startHeartbeat();
+                this.setState('open');
+                this.flushPendingAudio();
             };
             
-            this.websocket.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    if (this.onMessage) {
-                        this.onMessage(data);
-                    }
-                } catch (error) {
-                    console.error('Failed to parse WebSocket message:', error);
+            socket.onmessage = (event) => {
+                this.lastReceivedAt = Date.now();
+                this.awaitingReplySince = null;
+                
+                const message = this.protocol.parse(event.data);
+                if (message.type === 'pong') {
+                    this.pongReceived = true;
+                    return;
                 }
+                this.emit('message', message);
             };
             
-            this.websocket.onclose = (event) => {
-                console.log('WebSocket connection closed:', event.code, event.reason);
-                this.isConnected = false;
-                
-                if (this.onConnectionChange) {
-                    this.onConnectionChange(false);
-                }
-                
-                // Attempt to reconnect if not a normal closure
-                if (event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
-                    this.attemptReconnect();
-                }
+            socket.onclose = (event) => {
+                this.handleClose(event, opened);
             };
             
-            this.websocket.onerror = (error) => {
+            socket.onerror = (error) => {
+                // A close event always follows, which drives reconnection
                 console.error('WebSocket error:', error);
-                if (this.onError) {
-                    this.onError(error);
-                }
             };
             
         } catch (error) {
             console.error('Failed to create WebSocket connection:', error);
+            this.setState('failed');
             throw error;
         }
     }
 
     /**
-     * Attempt to reconnect to the server
+     * Handle the socket closing, deciding whether and when to reconnect
+     */
+    handleClose(event, opened) {
+        console.log('WebSocket connection closed:', event.code, event.reason);
+        this.stopHeartbeat();
+        this.detachSocket();
+        
+        // 1008 (policy violation) and 4001/4003 (unauthorized/forbidden) mean the credentials were rejected
+        if (WhisperWebSocket.AUTH_CLOSE_CODES.includes(event.code)) {
+            this.handleAuthFailure(new AuthenticationError(
+                `Authentication failed: ${event.reason || 'the server rejected the credentials'}`,
+                event.code
+            ));
+            return;
+        }
+        
+        // Browsers hide the handshake response, so ask the health endpoint whether a 401/403 caused it
+        if (!opened && this.config.hasAuthToken()) {
+            this.checkHealth().catch(error => {
+                if (error instanceof AuthenticationError) {
+                    this.handleAuthFailure(error);
+                }
+            });
+        }
+        
+        if (event.code === 1000) {
+            this.setState('idle');
+        } else {
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * Stop listening to the current socket and forget it
+     */
+    detachSocket() {
+        if (!this.websocket) return;
+        
+        this.websocket.onopen = null;
+        this.websocket.onmessage = null;
+        this.websocket.onclose = null;
+        this.websocket.onerror = null;
+        this.websocket = null;
+    }
+
+    /**
+     * Schedule the next reconnect attempt with exponential backoff and jitter
+     * Gives up with the 'failed' state once the configured attempts are used (0 = never give up)
      */
-    attemptReconnect() {
+    scheduleReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.nextAttemptAt = null;
+        
+        const maxAttempts = this.config.getCurrentConfig().reconnectMaxAttempts;
+        if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
+            console.warn(`Giving up after ${this.reconnectAttempts} reconnect attempts`);
+            this.setState('failed');
+            return;
+        }
+        
+        // Health checks will reconnect once the server answers again
+        if (!this.serverReachable) {
+            console.log('Server unreachable, waiting for a health check before reconnecting');
+            this.setState('reconnecting');
+            return;
+        }
+        
         this.reconnectAttempts++;
-        console.log(`Attempting to reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
+        const delay = WhisperWebSocket.getBackoffDelay(this.reconnectAttempts);
+        console.log(`Reconnect attempt ${this.reconnectAttempts}${maxAttempts > 0 ? `/${maxAttempts}` : ''} in ${delay}ms`);
+        
+        this.nextAttemptAt = Date.now() + delay;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.nextAttemptAt = null;
+            // Let the UI show that the attempt is running
+            this.setState('reconnecting');
+            // Failures are reported through the state
+            this.connect().catch(() => {});
+        }, delay);
+        this.setState('reconnecting');
+    }
+
+    /**
+     * Delay before a reconnect attempt: doubling from 1s up to 30s, randomised
+     * between half and the full value so clients don't reconnect in lockstep
+     */
+    static getBackoffDelay(attempt) {
+        const ceiling = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Start the heartbeat that detects half-open sockets
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.lastReceivedAt = Date.now();
+        this.awaitingReplySince = null;
+        this.pongReceived = false;
+        this.lastBufferedAmount = 0;
+        this.bytesSentSinceHeartbeat = 0;
+        this.bufferStalledSince = null;
+        
+        const intervalMs = this.config.getCurrentConfig().heartbeatSeconds * 1000;
+        if (intervalMs > 0) {
+            this.heartbeatTimer = setInterval(() => this.heartbeat(), intervalMs);
+        }
+    }
+
+    /**
+     * Stop the heartbeat
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Check the socket is still alive and send a ping if enabled
+     * A socket is stale when none of the data queued in it has drained for two intervals, or when
+     * a server that answered pings before leaves them unanswered for two intervals.
+     * A server that is merely quiet (silence, a long utterance, a slow model) is not stale
+     */
+    heartbeat() {
+        if (!this.isConnected) return;
+        
+        const config = this.config.getCurrentConfig();
+        const timeoutMs = config.heartbeatSeconds * 2000;
+        const now = Date.now();
         
-        setTimeout(() => {
-            this.connect();
-        }, this.reconnectDelay);
+        // A slow link still drains some bytes, so only a buffer that made no progress at all
+        // counts: it held the last reading plus what was sent since, and nothing left
+        const buffered = this.websocket.bufferedAmount;
+        const drained = this.lastBufferedAmount + this.bytesSentSinceHeartbeat - buffered;
+        if (buffered > 0 && drained <= 0) {
+            if (this.bufferStalledSince === null) {
+                this.bufferStalledSince = now;
+            }
+        } else {
+            this.bufferStalledSince = null;
+        }
+        this.lastBufferedAmount = buffered;
+        this.bytesSentSinceHeartbeat = 0;
+        
+        if (this.bufferStalledSince !== null && now - this.bufferStalledSince > timeoutMs) {
+            console.warn(`Audio has not drained for ${Math.round((now - this.bufferStalledSince) / 1000)}s, treating the socket as stale`);
+            this.dropStaleSocket();
+            return;
+        }
+        
+        if (this.awaitingReplySince !== null && now - this.awaitingReplySince > timeoutMs) {
+            console.warn(`No reply from server for ${Math.round((now - this.lastReceivedAt) / 1000)}s, treating the socket as stale`);
+            this.dropStaleSocket();
+            return;
+        }
         
-        // Exponential backoff
-        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 10000);
+        if (config.heartbeatPing) {
+            const ping = JSON.stringify({ type: 'ping', id: ++this.pingSequence, timestamp: now });
+            this.websocket.send(ping);
+            this.bytesSentSinceHeartbeat += ping.length;
+            if (this.pongReceived) {
+                this.expectReply();
+            }
+        }
+    }
+
+    /**
+     * Replace a socket the heartbeat found stale
+     */
+    dropStaleSocket() {
+        const socket = this.websocket;
+        // A half-open socket may never finish the close handshake, so don't wait for it
+        this.handleClose({ code: 4000, reason: 'Heartbeat timeout' }, true);
+        socket.close(4000, 'Heartbeat timeout');
+    }
+
+    /**
+     * Note that something was sent that the server should answer
+     */
+    expectReply() {
+        if (this.awaitingReplySince === null) {
+            this.awaitingReplySince = Date.now();
+        }
+    }
+
+    /**
+     * Use a health check result to decide whether to reconnect
+     * While the server is unreachable no attempts are spent; once it answers,
+     * a socket that is waiting for the server or has given up connects again
+     */
+    setServerReachable(reachable) {
+        this.serverReachable = reachable;
+        
+        if (!reachable) {
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.nextAttemptAt = null;
+                this.reconnectAttempts--; // The cancelled attempt never ran
+                this.setState('reconnecting');
+            }
+            return;
+        }
+        
+        const waiting = this.state === 'reconnecting' && !this.reconnectTimer && !this.websocket;
+        const gaveUp = this.state === 'failed' && !this.authFailed;
+        if (waiting || gaveUp) {
+            console.log('Server is reachable again, reconnecting');
+            // Nobody awaits this call, so report a socket that can't be created as a connection error
+            this.reconnect().catch(error => this.emit('error', { error: error }));
+        }
+    }
+
+    /**
+     * Stop reconnecting and report rejected credentials
+     */
+    handleAuthFailure(error) {
+        console.error(error.message);
+        this.authFailed = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.nextAttemptAt = null;
+        this.stopHeartbeat();
+        
+        if (this.websocket) {
+            const socket = this.websocket;
+            this.detachSocket();
+            socket.close(1000, 'Authentication failed');
+        }
+        
+        this.setState('failed');
+        this.emit('error', { error: error });
+    }
+
+    /**
+     * Throw an AuthenticationError for 401/403 responses
+     */
+    checkAuthResponse(response) {
+        if (response.status === 401 || response.status === 403) {
+            throw new AuthenticationError(
+                `Authentication failed (${response.status}): check the token in the settings`,
+                response.status
+            );
+        }
     }
 
     /**
@@ -106,25 +468,106 @@ class WhisperWebSocket {
             // Convert ArrayBuffer to Uint8Array for proper binary transmission
             const uint8Array = new Uint8Array(audioChunk);
             this.websocket.send(uint8Array);
+            this.bytesSentSinceHeartbeat += uint8Array.byteLength;
+            this.emit('audiosent', { bytes: uint8Array.byteLength });
         } else {
             throw new Error('WebSocket not in OPEN state');
         }
     }
 
+    /**
+     * Send an audio chunk, or buffer it until the connection is back
+     * Buffered chunks are always sent first so the server receives audio in order
+     */
+    queueAudioChunk(audioChunk) {
+        if (this.pendingAudio.length === 0) {
+            try {
+                this.sendAudioChunk(audioChunk);
+                // Audio dropped without being buffered (capacity 0) belongs to an outage that is over
+                if (this.pendingAudio.droppedChunks > 0) {
+                    this.pendingAudio.resetDropped();
+                    this.notifyBufferChange();
+                }
+                return;
+            } catch (error) {
+                // Fall through and keep the chunk for later
+            }
+        }
+        
+        this.pendingAudio.push(audioChunk);
+        this.flushPendingAudio();
+        this.notifyBufferChange();
+    }
+
+    /**
+     * Send buffered audio in order while the connection is open
+     */
+    flushPendingAudio() {
+        if (this.pendingAudio.length === 0) return;
+        
+        while (this.pendingAudio.length > 0) {
+            if (!this.isConnected || !this.websocket || this.websocket.readyState !== WebSocket.OPEN) {
+                return;
+            }
+            this.sendAudioChunk(this.pendingAudio.shift());
+        }
+        
+        // The outage is over; the next one counts its drops from zero
+        this.pendingAudio.resetDropped();
+        console.log('Flushed buffered audio after reconnecting');
+        this.notifyBufferChange();
+    }
+
+    /**
+     * Set how many chunks can be buffered while disconnected
+     */
+    setAudioBufferCapacity(chunks) {
+        if (chunks === this.pendingAudio.capacity) return;
+        
+        this.pendingAudio.setCapacity(chunks);
+        this.notifyBufferChange();
+    }
+
+    /**
+     * Discard buffered audio
+     */
+    clearPendingAudio() {
+        this.pendingAudio.clear();
+        this.notifyBufferChange();
+    }
+
+    /**
+     * Report buffered and dropped audio
+     */
+    notifyBufferChange() {
+        this.emit('bufferchange', {
+            pendingChunks: this.pendingAudio.length,
+            pendingBytes: this.pendingAudio.byteLength,
+            droppedChunks: this.pendingAudio.droppedChunks,
+            droppedBytes: this.pendingAudio.droppedBytes
+        });
+    }
+
     /**
      * Send file for transcription
      */
     async sendFileForTranscription(file) {
         try {
             const formData = new FormData();
-            formData.append('model_name', 'tiny.en.pt');
+            const config = this.config.getCurrentConfig();
+            formData.append('model_name', config.model);
+            if (config.language !== 'auto') {
+                formData.append('language', config.language);
+            }
             formData.append('files', file);
             
             const response = await fetch(this.config.getTranscriptionURL(), {
                 method: 'POST',
+                headers: this.config.getAuthHeaders(),
                 body: formData
             });
             
+            this.checkAuthResponse(response);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
@@ -140,18 +583,32 @@ class WhisperWebSocket {
     /**
      * Check server health
      */
-    async checkHealth() {
+    async checkHealth(timeoutMs = 10000) {
+        // A request that never completes would otherwise stall health polling
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
         try {
-            const response = await fetch(this.config.getHealthURL());
+            const response = await fetch(this.config.getHealthURL(), {
+                headers: this.config.getAuthHeaders(),
+                signal: controller.signal
+            });
+            this.checkAuthResponse(response);
             if (response.ok) {
                 const health = await response.text();
                 return health;
             } else {
-                throw new Error(`Health check failed: ${response.status}`);
+                const error = new Error(`Health check failed: ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
         } catch (error) {
+            if (error.name === 'AbortError') {
+                error = new Error(`Health check timed out after ${Math.round(timeoutMs / 1000)}s`);
+            }
             console.error('Health check failed:', error);
             throw error;
+        } finally {
+            clearTimeout(timer);
         }
     }
 
@@ -159,37 +616,25 @@ class WhisperWebSocket {
      * Disconnect from the WebSocket server
      */
     disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.nextAttemptAt = null;
+        this.stopHeartbeat();
+        
         if (this.websocket) {
-            this.websocket.close(1000, 'Client disconnecting');
-            this.websocket = null;
+            const socket = this.websocket;
+            this.detachSocket();
+            socket.close(1000, 'Client disconnecting');
         }
-        this.isConnected = false;
         this.reconnectAttempts = 0;
-        
-        if (this.onConnectionChange) {
-            this.onConnectionChange(false);
-        }
-    }
-
-    /**
-     * Set callback for incoming messages
-     */
-    setMessageCallback(callback) {
-        this.onMessage = callback;
+        this.setState('idle');
     }
 
     /**
-     * Set callback for connection state changes
+     * Get the bytes queued in the socket but not yet sent over the network
      */
-    setConnectionChangeCallback(callback) {
-        this.onConnectionChange = callback;
-    }
-
-    /**
-     * Set callback for errors
-     */
-    setErrorCallback(callback) {
-        this.onError = callback;
+    getBufferedAmount() {
+        return this.websocket ? this.websocket.bufferedAmount : 0;
     }
 
     /**
@@ -197,9 +642,14 @@ class WhisperWebSocket {
      */
     getConnectionStatus() {
         return {
+            state: this.state,
             isConnected: this.isConnected,
+            authFailed: this.authFailed,
+            serverReachable: this.serverReachable,
             readyState: this.websocket ? this.websocket.readyState : null,
-            reconnectAttempts: this.reconnectAttempts
+            reconnectAttempts: this.reconnectAttempts,
+            maxReconnectAttempts: this.config.getCurrentConfig().reconnectMaxAttempts,
+            nextAttemptAt: this.nextAttemptAt
         };
     }
 
@@ -208,21 +658,26 @@ class WhisperWebSocket {
      */
     async updateConfig(newConfig) {
         this.config.updateConfig(newConfig, 'user');
+        await this.reconnect();
+    }
+
+    /**
+     * Reconnect using the current configuration
+     */
+    async reconnect() {
         this.serverUrl = this.config.getWebSocketURL();
         
-        // Disconnect current connection if connected
-        if (this.isConnected) {
-            this.disconnect();
-        }
-        
-        // Reset reconnection attempts
-        this.reconnectAttempts = 0;
-        this.reconnectDelay = 1000;
+        // Drop the current socket and any scheduled attempt, resetting the attempt count
+        this.disconnect();
+        this.authFailed = false;
         
         // Connect with new configuration
         await this.connect();
     }
 }
 
+// Close codes servers use to reject credentials
+WhisperWebSocket.AUTH_CLOSE_CODES = [1008, 4001, 4003];
+
 // Export for use in other modules
-window.WhisperWebSocket = WhisperWebSocket; 
\ No newline at end of file
+export { AudioChunkBuffer, AuthenticationError, WhisperWebSocket };
@@ -0,0 +1,66 @@
+/**
+ * Checks for the file resampler
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileAudioProcessor } from '../scripts/audio.js';
+
+/**
+ * A sine wave of the given frequency and length
+ */
+function sine(frequency, sampleRate, length) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+}
+
+/**
+ * Peak absolute value of the middle half, away from the edges the filter can't see past
+ */
+function middlePeak(samples) {
+    let peak = 0;
+    for (let i = Math.floor(samples.length / 4); i < Math.floor(samples.length * 3 / 4); i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return peak;
+}
+
+for (const sampleRate of [48000, 44100, 22050, 8000]) {
+    test(`output length matches the duration when resampling ${sampleRate}Hz to 16kHz`, () => {
+        const output = FileAudioProcessor.resampleAudio(new Float32Array(sampleRate * 2), sampleRate, 16000);
+        assert.equal(output.length, 32000);
+    });
+}
+
+test('DC passes with unity gain', () => {
+    const output = FileAudioProcessor.resampleAudio(new Float32Array(48000).fill(0.5), 48000, 16000);
+    const middle = output.subarray(4000, 12000);
+    middle.forEach(value => assert.ok(Math.abs(value - 0.5) < 1e-4, `got ${value}`));
+});
+
+test('a tone in the pass band keeps its level', () => {
+    const output = FileAudioProcessor.resampleAudio(sine(1000, 44100, 44100), 44100, 16000);
+    assert.ok(Math.abs(middlePeak(output) - 1) < 0.01, `peak ${middlePeak(output)}`);
+});
+
+test('a tone above the new Nyquist frequency is filtered out', () => {
+    const output = FileAudioProcessor.resampleAudio(sine(12000, 48000, 48000), 48000, 16000);
+    assert.ok(middlePeak(output) < 0.01, `peak ${middlePeak(output)}`);
+});
+
+test('the async resampler gives the same result in blocks', async () => {
+    const input = sine(440, 48000, 48000 * 3);
+    const expected = FileAudioProcessor.resampleAudio(input, 48000, 16000);
+    const actual = await FileAudioProcessor.resampleAudioAsync(input, 48000, 16000);
+    assert.deepEqual(actual, expected);
+});
+
+test('matching rates return the input unchanged', async () => {
+    const input = new Float32Array(100);
+    assert.equal(FileAudioProcessor.resampleAudio(input, 16000, 16000), input);
+    assert.equal(await FileAudioProcessor.resampleAudioAsync(input, 16000, 16000), input);
+});